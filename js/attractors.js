@@ -0,0 +1,86 @@
+// attractors.js — Chaotic ODE systems (strange attractors) integrated with RK4.
+// generate.js samples the trajectory for the 'attractor' shape type.
+
+/**
+ * Each system: derivative(x, y, z) → [dx, dy, dz], a stable time step,
+ * and a starting point near the attractor.
+ */
+const SYSTEMS = {
+  lorenz: {
+    dt: 0.005,
+    start: [0.1, 0, 20],
+    derivative(x, y, z) {
+      const sigma = 10, rho = 28, beta = 8 / 3;
+      return [sigma * (y - x), x * (rho - z) - y, x * y - beta * z];
+    },
+  },
+  aizawa: {
+    dt: 0.01,
+    start: [0.1, 0, 0],
+    derivative(x, y, z) {
+      const a = 0.95, b = 0.7, c = 0.6, d = 3.5, e = 0.25, f = 0.1;
+      return [
+        (z - b) * x - d * y,
+        d * x + (z - b) * y,
+        c + a * z - z * z * z / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x,
+      ];
+    },
+  },
+  thomas: {
+    dt: 0.05,
+    start: [0.1, 0, 0],
+    derivative(x, y, z) {
+      const b = 0.208186;
+      return [Math.sin(y) - b * x, Math.sin(z) - b * y, Math.sin(x) - b * z];
+    },
+  },
+  halvorsen: {
+    dt: 0.005,
+    start: [-1.48, -1.51, 2.04],
+    derivative(x, y, z) {
+      const a = 1.89;
+      return [
+        -a * x - 4 * y - 4 * z - y * y,
+        -a * y - 4 * z - 4 * x - z * z,
+        -a * z - 4 * x - 4 * y - x * x,
+      ];
+    },
+  },
+};
+
+export const ATTRACTOR_TYPES = Object.keys(SYSTEMS);
+
+/**
+ * Integrator for the named system (falls back to Lorenz), starting from the
+ * system's start point nudged by `offset` so different seeds give different orbits.
+ * advance(steps) runs RK4 steps; the current position is in `position` and the
+ * flow direction there (the derivative) in `velocity`.
+ */
+export function createAttractor(type, offset = { x: 0, y: 0, z: 0 }) {
+  const system = SYSTEMS[type] || SYSTEMS.lorenz;
+  const { dt, derivative } = system;
+  let x = system.start[0] + offset.x;
+  let y = system.start[1] + offset.y;
+  let z = system.start[2] + offset.z;
+
+  const integrator = {
+    position: { x, y, z },
+    velocity: { x: 0, y: 0, z: 0 },
+    advance(steps = 1) {
+      for (let i = 0; i < steps; i++) {
+        const k1 = derivative(x, y, z);
+        const k2 = derivative(x + k1[0] * dt / 2, y + k1[1] * dt / 2, z + k1[2] * dt / 2);
+        const k3 = derivative(x + k2[0] * dt / 2, y + k2[1] * dt / 2, z + k2[2] * dt / 2);
+        const k4 = derivative(x + k3[0] * dt, y + k3[1] * dt, z + k3[2] * dt);
+        x += (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]) * dt / 6;
+        y += (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]) * dt / 6;
+        z += (k1[2] + 2 * k2[2] + 2 * k3[2] + k4[2]) * dt / 6;
+      }
+      const v = derivative(x, y, z);
+      integrator.position = { x, y, z };
+      integrator.velocity = { x: v[0], y: v[1], z: v[2] };
+      return integrator;
+    },
+  };
+  return integrator;
+}
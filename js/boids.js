@@ -0,0 +1,139 @@
+// boids.js — Seeded boids flocking simulation (separation, alignment, cohesion, roost).
+// Runs on an existing point cloud and returns new points carrying a `heading` (velocity).
+
+/**
+ * Simulate `opts.steps` boids updates starting from `points`.
+ * Initial velocities come from `rng`, so the result is reproducible from the seed.
+ * Returns [{x, y, z, heading: {x, y, z}}, ...].
+ */
+export function simulateBoids(points, opts, rng) {
+  const {
+    steps = 60,
+    radius = 12,
+    separation = 1.5,
+    alignment = 1.0,
+    cohesion = 0.6,
+    roost = 0.2,
+    speed = 2,
+  } = opts;
+
+  const n = points.length;
+  if (n === 0) return [];
+
+  const px = new Float64Array(n), py = new Float64Array(n), pz = new Float64Array(n);
+  const vx = new Float64Array(n), vy = new Float64Array(n), vz = new Float64Array(n);
+
+  // Roost scale: the initial extent, so the pull is gentle inside the starting cloud
+  let extent = 1;
+  for (let i = 0; i < n; i++) {
+    const p = points[i];
+    px[i] = p.x; py[i] = p.y; pz[i] = p.z;
+    extent = Math.max(extent, Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z));
+
+    // Random initial heading (uniform on the sphere)
+    const u = rng() * 2 - 1;
+    const a = rng() * Math.PI * 2;
+    const s = Math.sqrt(1 - u * u);
+    vx[i] = s * Math.cos(a) * speed;
+    vy[i] = s * Math.sin(a) * speed;
+    vz[i] = u * speed;
+  }
+
+  const nvx = new Float64Array(n), nvy = new Float64Array(n), nvz = new Float64Array(n);
+  const radiusSq = radius * radius;
+  const sepRadiusSq = radiusSq * 0.25;
+  const minSpeed = speed * 0.5;
+
+  for (let step = 0; step < steps; step++) {
+    const cells = buildHash(px, py, pz, n, radius);
+
+    for (let i = 0; i < n; i++) {
+      let count = 0;
+      let cx = 0, cy = 0, cz = 0;    // Neighbour centroid
+      let ax = 0, ay = 0, az = 0;    // Neighbour mean velocity
+      let sx = 0, sy = 0, sz = 0;    // Separation push
+
+      const ix = Math.floor(px[i] / radius);
+      const iy = Math.floor(py[i] / radius);
+      const iz = Math.floor(pz[i] / radius);
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const bucket = cells.get(cellKey(ix + dx, iy + dy, iz + dz));
+            if (!bucket) continue;
+            for (const j of bucket) {
+              if (j === i) continue;
+              const ox = px[i] - px[j], oy = py[i] - py[j], oz = pz[i] - pz[j];
+              const dSq = ox * ox + oy * oy + oz * oz;
+              if (dSq > radiusSq) continue;
+              count++;
+              cx += px[j]; cy += py[j]; cz += pz[j];
+              ax += vx[j]; ay += vy[j]; az += vz[j];
+              if (dSq < sepRadiusSq && dSq > 1e-9) {
+                sx += ox / dSq; sy += oy / dSq; sz += oz / dSq;
+              }
+            }
+          }
+        }
+      }
+
+      let fx = 0, fy = 0, fz = 0;
+      if (count > 0) {
+        const inv = 1 / count;
+        fx += ((ax * inv) - vx[i]) * 0.05 * alignment;
+        fy += ((ay * inv) - vy[i]) * 0.05 * alignment;
+        fz += ((az * inv) - vz[i]) * 0.05 * alignment;
+        fx += ((cx * inv) - px[i]) * 0.01 * cohesion;
+        fy += ((cy * inv) - py[i]) * 0.01 * cohesion;
+        fz += ((cz * inv) - pz[i]) * 0.01 * cohesion;
+        fx += sx * separation;
+        fy += sy * separation;
+        fz += sz * separation;
+      }
+
+      // Roost attractor: pull towards the origin, growing with distance
+      if (roost > 0) {
+        fx -= px[i] / extent * 0.1 * roost;
+        fy -= py[i] / extent * 0.1 * roost;
+        fz -= pz[i] / extent * 0.1 * roost;
+      }
+
+      let nx = vx[i] + fx, ny = vy[i] + fy, nz = vz[i] + fz;
+      const len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+      const clamped = Math.max(minSpeed, Math.min(speed, len));
+      nx *= clamped / len; ny *= clamped / len; nz *= clamped / len;
+      nvx[i] = nx; nvy[i] = ny; nvz[i] = nz;
+    }
+
+    for (let i = 0; i < n; i++) {
+      vx[i] = nvx[i]; vy[i] = nvy[i]; vz[i] = nvz[i];
+      px[i] += vx[i]; py[i] += vy[i]; pz[i] += vz[i];
+    }
+  }
+
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) {
+    out[i] = {
+      x: px[i], y: py[i], z: pz[i],
+      heading: { x: vx[i], y: vy[i], z: vz[i] },
+    };
+  }
+  return out;
+}
+
+// Integer cell key; cells stay well within ±512 for any sensible radius
+function cellKey(ix, iy, iz) {
+  return ((ix + 512) * 1024 + (iy + 512)) * 1024 + (iz + 512);
+}
+
+function buildHash(px, py, pz, n, cellSize) {
+  const cells = new Map();
+  for (let i = 0; i < n; i++) {
+    const key = cellKey(Math.floor(px[i] / cellSize), Math.floor(py[i] / cellSize), Math.floor(pz[i] / cellSize));
+    let bucket = cells.get(key);
+    if (!bucket) cells.set(key, bucket = []);
+    bucket.push(i);
+  }
+  return cells;
+}
@@ -1,211 +1,872 @@
-// deformers.js — Noise displacement, twist, taper, bend, wave deformers.
-// Each takes a point array and returns a new deformed point array.
+// deformers.js — Noise displacement, twist, taper, bend, wave, lattice (FFD), force and path deformers.
+// Each reads a source position buffer and writes a destination one (see point-buffer.js).
+// params.deformers is an ordered stack of { type, enabled, settings, mask } entries.
+
+import { createNoise } from './noise.js';
+import { createPointBuffer, hasAttribute } from './point-buffer.js';
+import { catmullRomPoint } from './spline.js';
+
+// Distance along a heading to place its probe point (world units)
+const HEADING_PROBE = 0.5;
+
+// Arc-length samples along a path deformer's spline
+const PATH_SAMPLES = 256;
+
+const AXIS_UNITS = {
+  x: { x: 1, y: 0, z: 0 },
+  y: { x: 0, y: 1, z: 0 },
+  z: { x: 0, y: 0, z: 1 },
+};
+
+export const DEFORMER_TYPES = ['noise', 'twist', 'taper', 'bend', 'wave', 'lattice', 'forces', 'path'];
+export const FORCE_KINDS = ['attract', 'repel', 'vortex'];
+// Control points per lattice axis
+export const LATTICE_RES_RANGE = { min: 2, max: 6 };
+
+const DEFAULT_SETTINGS = {
+  noise: {
+    frequency: 0.02, amplitude: 20, octaves: 4, persistence: 0.5, lacunarity: 2.0,
+    offsetX: 0, offsetY: 0, offsetZ: 0,
+    basis: 'simplex',
+    // Domain warp (off at zero strength): see noiseDisplace
+    warpStrength: 0, warpFrequency: 0.01, warpIterations: 1,
+  },
+  twist: { amount: 0.5, axis: 'z' },
+  taper: { start: 1.0, end: 0.3, axis: 'z' },
+  bend: { angle: 0.5, axis: 'x' },
+  // components: summed sines along the travel coordinate; see wave()
+  wave: {
+    mode: 'linear', axis: 'z', direction: 'y',
+    centerX: 0, centerY: 0, centerZ: 0,
+    envelopeStart: 1, envelopeEnd: 1,
+    components: [{ frequency: 0.05, amplitude: 10, phase: 0 }],
+  },
+  // offsets: world-space displacement per control point, index i + resX * (j + resY * k)
+  lattice: { resX: 3, resY: 3, resZ: 3, interpolation: 'bspline', offsets: [] },
+  forces: { forces: [] },
+  // path: Catmull-Rom control points; start/end: arc-length fractions the cloud spans
+  path: {
+    axis: 'z', closed: false,
+    start: 0, end: 1,
+    scaleStart: 1, scaleEnd: 1,
+    rollStart: 0, rollEnd: 0,
+    path: [
+      { x: 0, y: 0, z: -100 },
+      { x: 50, y: 20, z: -35 },
+      { x: -50, y: -20, z: 35 },
+      { x: 0, y: 0, z: 100 },
+    ],
+  },
+};
 
-import { fbm3vec } from './noise.js';
-import { seed as noiseSeed } from './noise.js';
+/**
+ * A new force for the 'forces' deformer. `shape` is 'point' or 'line' (a segment of
+ * `length` along `axis` through x/y/z); vortices swirl around `axis`. `strength` is the
+ * displacement in world units at the force, fading to zero at `radius` with the
+ * `falloff` exponent (1 = linear, higher = tighter core). A negative strength reverses
+ * the force, so a vortex spins the other way around its axis.
+ */
+export function defaultForce(kind = 'repel') {
+  return {
+    kind, shape: 'point',
+    x: 0, y: 0, z: 0,
+    axis: 'z', length: 100,
+    strength: 30, radius: 50, falloff: 2,
+  };
+}
+
+/**
+ * A new sine component for the wave deformer.
+ */
+export function defaultWaveComponent(frequency = 0.05, amplitude = 10, phase = 0) {
+  return { frequency, amplitude, phase };
+}
+
+export const MASK_TYPES = ['none', 'sphere', 'box', 'gradient', 'noise'];
+
+/**
+ * Influence mask settings (type 'none' = whole cloud). Only the keys for the chosen type are used:
+ * sphere: centre x/y/z, radius; box: centre x/y/z, half-extents sizeX/Y/Z — both full strength
+ * inside, fading to zero over `falloff` world units outside. gradient: weight ramps from 0 at
+ * `start` to 1 at `end`, as fractions of the cloud's extent along `axis`. noise: weight 1 where
+ * simplex noise at `frequency` exceeds `threshold`, blended over `softness`.
+ */
+export function defaultMask() {
+  return {
+    type: 'none', invert: false,
+    x: 0, y: 0, z: 0,
+    radius: 60, sizeX: 60, sizeY: 60, sizeZ: 60, falloff: 30,
+    axis: 'z', start: 0, end: 1,
+    frequency: 0.02, threshold: 0, softness: 0.3,
+  };
+}
+
+/**
+ * A new enabled deformer entry of the given type, with `settings` overriding the defaults.
+ */
+export function defaultDeformer(type = 'noise', settings = {}) {
+  const merged = structuredClone({ ...DEFAULT_SETTINGS[type], ...settings });
+  if (type === 'lattice') merged.offsets = resizeLattice(merged.offsets, merged, merged);
+  if (type === 'forces' && merged.forces.length === 0) merged.forces.push(defaultForce());
+  return { type, enabled: true, settings: merged, mask: defaultMask() };
+}
+
+/**
+ * Lattice offsets laid out for resolution `from`, resized to resolution `to`
+ * ({ resX, resY, resZ }). Control points whose (i, j, k) still exist keep their
+ * offsets; new ones start at zero.
+ */
+export function resizeLattice(old = [], from, to) {
+  const oldRes = latticeRes(from);
+  const { resX, resY, resZ } = latticeRes(to);
+  const offsets = [];
+  for (let k = 0; k < resZ; k++) {
+    for (let j = 0; j < resY; j++) {
+      for (let i = 0; i < resX; i++) {
+        const prev = i < oldRes.resX && j < oldRes.resY && k < oldRes.resZ
+          ? old[i + oldRes.resX * (j + oldRes.resY * k)]
+          : null;
+        offsets.push(prev ? { x: prev.x, y: prev.y, z: prev.z } : { x: 0, y: 0, z: 0 });
+      }
+    }
+  }
+  return offsets;
+}
 
 /**
- * Run all enabled deformers in sequence: noise → twist → taper → bend → wave.
+ * Lattice resolution as the engine lays it out: each axis rounded and clamped to
+ * LATTICE_RES_RANGE.
  */
-export function applyDeformers(points, params) {
-  let pts = points;
+export function latticeRes(s) {
+  const { min, max } = LATTICE_RES_RANGE;
+  const clampRes = (r) => Math.max(min, Math.min(max, Math.round(r) || min));
+  return { resX: clampRes(s.resX), resY: clampRes(s.resY), resZ: clampRes(s.resZ) };
+}
 
-  // Seed noise from params
-  noiseSeed(params.seed);
+// Flat deformer keys used before the deformer stack, with their old defaults
+const LEGACY_DEFAULTS = {
+  noiseFreq: 0.02, noiseAmp: 20, noiseOctaves: 4, noisePersistence: 0.5, noiseLacunarity: 2.0,
+  noiseOffsetX: 0, noiseOffsetY: 0, noiseOffsetZ: 0,
+  smoothEnabled: false, smoothFreq: 0.005, smoothAmp: 30,
+  twistEnabled: false, twistAmount: 0.5, twistAxis: 'z',
+  taperEnabled: false, taperStart: 1.0, taperEnd: 0.3, taperAxis: 'z',
+  bendEnabled: false, bendAngle: 0.5, bendAxis: 'x',
+  waveEnabled: false, waveFreq: 0.05, waveAmp: 10, waveAxis: 'z', wavePhase: 0,
+};
 
-  // Smooth organic pre-deformation (very low frequency, single octave)
-  if (params.smoothEnabled && params.smoothAmp > 0) {
-    pts = noiseDisplace(pts, {
-      frequency: params.smoothFreq,
-      amplitude: params.smoothAmp,
-      octaves: 1,
-      persistence: 0.5,
-      lacunarity: 2.0,
-      offsetX: (params.noiseOffsetX || 0) + 200,
-      offsetY: (params.noiseOffsetY || 0) + 200,
-      offsetZ: (params.noiseOffsetZ || 0) + 200,
-    });
+/**
+ * Convert flat deformer keys (twistEnabled, noiseAmp, ...) in a params-like object
+ * into a `deformers` stack in the old fixed order, removing the flat keys.
+ * Missing flat keys take their old defaults; an existing stack wins over flat keys.
+ * Single-sine wave settings in the stack are upgraded to the component form.
+ * Returns the object.
+ */
+export function migrateDeformerParams(obj) {
+  const legacyKeys = Object.keys(LEGACY_DEFAULTS).filter(k => k in obj);
+  if (legacyKeys.length > 0 && !obj.deformers) {
+    const p = { ...LEGACY_DEFAULTS, ...obj };
+    const offset = { offsetX: p.noiseOffsetX, offsetY: p.noiseOffsetY, offsetZ: p.noiseOffsetZ };
+    obj.deformers = [
+      // Smooth pre-deform: one low-frequency octave, offset away from the detail noise
+      {
+        type: 'noise',
+        enabled: !!p.smoothEnabled,
+        settings: {
+          frequency: p.smoothFreq, amplitude: p.smoothAmp, octaves: 1, persistence: 0.5, lacunarity: 2.0,
+          offsetX: offset.offsetX + 200, offsetY: offset.offsetY + 200, offsetZ: offset.offsetZ + 200,
+        },
+      },
+      {
+        type: 'noise',
+        enabled: true,
+        settings: {
+          frequency: p.noiseFreq, amplitude: p.noiseAmp, octaves: p.noiseOctaves,
+          persistence: p.noisePersistence, lacunarity: p.noiseLacunarity, ...offset,
+        },
+      },
+      { type: 'twist', enabled: !!p.twistEnabled, settings: { amount: p.twistAmount, axis: p.twistAxis } },
+      { type: 'taper', enabled: !!p.taperEnabled, settings: { start: p.taperStart, end: p.taperEnd, axis: p.taperAxis } },
+      { type: 'bend', enabled: !!p.bendEnabled, settings: { angle: p.bendAngle, axis: p.bendAxis } },
+      {
+        type: 'wave',
+        enabled: !!p.waveEnabled,
+        settings: { frequency: p.waveFreq, amplitude: p.waveAmp, axis: p.waveAxis, phase: p.wavePhase },
+      },
+    ];
   }
+  for (const k of legacyKeys) delete obj[k];
+  for (const d of obj.deformers || []) {
+    if (d.type === 'wave' && d.settings) migrateWaveSettings(d.settings);
+  }
+  return obj;
+}
 
-  // Noise displacement (always applied if amplitude > 0)
-  if (params.noiseAmp > 0) {
-    pts = noiseDisplace(pts, {
-      frequency: params.noiseFreq,
-      amplitude: params.noiseAmp,
-      octaves: params.noiseOctaves,
-      persistence: params.noisePersistence,
-      lacunarity: params.noiseLacunarity,
-      offsetX: params.noiseOffsetX,
-      offsetY: params.noiseOffsetY,
-      offsetZ: params.noiseOffsetZ,
-    });
+// { frequency, amplitude, phase, axis } → one component, displacing along the axis
+// the old wave used (y, except x for waves along y)
+function migrateWaveSettings(settings) {
+  if (settings.components) return;
+  const axis = settings.axis || 'z';
+  settings.components = [defaultWaveComponent(
+    settings.frequency ?? 0.05, settings.amplitude ?? 10, settings.phase ?? 0)];
+  settings.axis = axis;
+  settings.direction = axis === 'y' ? 'x' : 'y';
+  delete settings.frequency;
+  delete settings.amplitude;
+  delete settings.phase;
+}
+
+/**
+ * Run the enabled entries of params.deformers in order on a point buffer, returning a
+ * new buffer (the input is left untouched). Deformers ping-pong between two scratch
+ * position buffers rather than allocating per step.
+ * Points with a nonzero heading (e.g. boids velocity) get it carried through the
+ * deformation: a probe point just ahead of each bird is deformed alongside it.
+ * If a `gizmos` array is passed, deformers with on-canvas handles (lattice cage,
+ * forces, path) append { type, deformer, ... } describing them in their input space.
+ */
+export function applyDeformers(buffer, params, gizmos = null) {
+  const n = buffer.count;
+  const hasHeadings = hasAttribute(buffer, 'heading');
+
+  // Scratch positions: [points..., probes...]
+  let src = createPointBuffer(hasHeadings ? n * 2 : n);
+  let dst = createPointBuffer(src.count);
+  src.x.set(buffer.x); src.y.set(buffer.y); src.z.set(buffer.z);
+  if (hasHeadings) writeHeadingProbes(buffer, src);
+  const weights = new Float32Array(src.count);
+
+  // Deform-stage noise (displacement and noise masks)
+  const noise = createNoise(params.deformSeed);
+
+  for (const deformer of params.deformers || []) {
+    if (!deformer.enabled) continue;
+    const masked = maskWeights(src, deformer.mask, noise, weights);
+    const gizmo = gizmos ? { deformer } : null;
+    const settings = { ...DEFAULT_SETTINGS[deformer.type], ...deformer.settings };
+    const changed = applyDeformer(src, dst, deformer.type, settings, gizmo, noise);
+    if (gizmo && gizmo.type) gizmos.push(gizmo);
+    if (!changed) continue;
+    if (masked) blendByWeight(src, dst, weights);
+    [src, dst] = [dst, src];
   }
 
-  if (params.twistEnabled) {
-    pts = twist(pts, params.twistAmount, params.twistAxis);
+  return hasHeadings ? attachHeadings(buffer, src) : src;
+}
+
+// Settings key holding the objects each gizmo type's handles edit
+const GIZMO_TARGETS = { lattice: 'offsets', forces: 'forces', path: 'path' };
+
+/**
+ * Gizmos from applyDeformers in a form that can be posted to another thread: `deformer`
+ * becomes the entry's index in `deformers` and `targets` is dropped. See linkGizmos.
+ */
+export function detachGizmos(gizmos, deformers) {
+  return gizmos.map(({ deformer, targets, ...gizmo }) => ({ ...gizmo, deformer: deformers.indexOf(deformer) }));
+}
+
+/**
+ * Point detached gizmos back at the live deformer stack, so dragging a handle edits
+ * params. Gizmos whose deformer has since been removed or retyped are dropped.
+ */
+export function linkGizmos(gizmos, deformers) {
+  const linked = [];
+  for (const gizmo of gizmos) {
+    const deformer = deformers[gizmo.deformer];
+    if (!deformer || deformer.type !== gizmo.type) continue;
+    linked.push({ ...gizmo, deformer, targets: deformer.settings[GIZMO_TARGETS[gizmo.type]] || [] });
   }
+  return linked;
+}
 
-  if (params.taperEnabled) {
-    pts = taper(pts, params.taperStart, params.taperEnd, params.taperAxis);
+/**
+ * Deform src's positions into dst. Returns false (leaving dst unwritten) when the
+ * deformer would leave every point where it is.
+ */
+function applyDeformer(src, dst, type, s, gizmo, noise) {
+  switch (type) {
+    case 'noise':
+      return s.amplitude > 0 && noiseDisplace(src, dst, s, noise);
+    case 'twist':
+      return twist(src, dst, s.amount, s.axis);
+    case 'taper':
+      return taper(src, dst, s.start, s.end, s.axis);
+    case 'bend':
+      return bend(src, dst, s.angle, s.axis);
+    case 'wave':
+      return wave(src, dst, s);
+    case 'lattice':
+      return lattice(src, dst, s, gizmo);
+    case 'forces':
+      return applyForces(src, dst, s.forces || [], gizmo);
+    case 'path':
+      return followPath(src, dst, s, gizmo);
+    default:
+      return false;
   }
+}
 
-  if (params.bendEnabled) {
-    pts = bend(pts, params.bendAngle, params.bendAxis);
+/**
+ * Per-point influence in [0, 1] for a deformer's mask, evaluated at the points'
+ * positions before that deformer runs, written to `weights`. Returns false when the
+ * mask covers everything.
+ */
+function maskWeights(points, mask, noise, weights) {
+  if (!mask || !mask.type || mask.type === 'none') return false;
+  const m = { ...defaultMask(), ...mask };
+
+  let weightAt;
+  switch (m.type) {
+    case 'sphere':
+      weightAt = (x, y, z) => {
+        const d = Math.sqrt((x - m.x) ** 2 + (y - m.y) ** 2 + (z - m.z) ** 2) - m.radius;
+        return 1 - smoothstep(0, m.falloff, d);
+      };
+      break;
+    case 'box':
+      weightAt = (x, y, z) => {
+        const qx = Math.max(Math.abs(x - m.x) - m.sizeX, 0);
+        const qy = Math.max(Math.abs(y - m.y) - m.sizeY, 0);
+        const qz = Math.max(Math.abs(z - m.z) - m.sizeZ, 0);
+        return 1 - smoothstep(0, m.falloff, Math.sqrt(qx * qx + qy * qy + qz * qz));
+      };
+      break;
+    case 'gradient': {
+      const bounds = arrayBounds(axisArray(points, m.axis));
+      const range = bounds.max - bounds.min || 1;
+      weightAt = (x, y, z) => {
+        const v = m.axis === 'x' ? x : m.axis === 'y' ? y : z;
+        return smoothstep(m.start, m.end, (v - bounds.min) / range);
+      };
+      break;
+    }
+    case 'noise': {
+      const f = m.frequency;
+      // Offset so the mask doesn't line up with noise displacement at the same frequency
+      weightAt = (x, y, z) => smoothstep(m.threshold, m.threshold + m.softness,
+        noise.simplex3(x * f + 500, y * f + 500, z * f + 500));
+      break;
+    }
+    default:
+      return false;
   }
 
-  if (params.waveEnabled) {
-    pts = wave(pts, params.waveFreq, params.waveAmp, params.waveAxis, params.wavePhase);
+  const { x, y, z } = points;
+  for (let i = 0; i < points.count; i++) {
+    const w = weightAt(x[i], y[i], z[i]);
+    weights[i] = m.invert ? 1 - w : w;
   }
+  return true;
+}
 
-  return pts;
+// dst ← src + (dst − src) × weight, per point
+function blendByWeight(src, dst, weights) {
+  for (let i = 0; i < src.count; i++) {
+    const w = weights[i];
+    dst.x[i] = src.x[i] + (dst.x[i] - src.x[i]) * w;
+    dst.y[i] = src.y[i] + (dst.y[i] - src.y[i]) * w;
+    dst.z[i] = src.z[i] + (dst.z[i] - src.z[i]) * w;
+  }
 }
 
 /**
- * Displace each point by a 3D noise vector field.
+ * Hermite ramp from 0 at edge0 to 1 at edge1; a hard step when the edges coincide.
+ * Reversed edges give a descending ramp.
  */
-function noiseDisplace(points, opts) {
-  const { frequency, amplitude, octaves, persistence, lacunarity, offsetX, offsetY, offsetZ } = opts;
+function smoothstep(edge0, edge1, x) {
+  if (edge0 === edge1) return x < edge0 ? 0 : 1;
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
 
-  return points.map(p => {
-    const nx = p.x * frequency + offsetX;
-    const ny = p.y * frequency + offsetY;
-    const nz = p.z * frequency + offsetZ;
+/**
+ * Fill the second half of `work` with a probe HEADING_PROBE ahead of each point along
+ * its heading; points without one get a probe on top of themselves.
+ */
+function writeHeadingProbes(buffer, work) {
+  const n = buffer.count;
+  for (let i = 0; i < n; i++) {
+    const hx = buffer.hx[i], hy = buffer.hy[i], hz = buffer.hz[i];
+    const len = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    const k = len > 0 ? HEADING_PROBE / len : 0;
+    work.x[i + n] = buffer.x[i] + hx * k;
+    work.y[i + n] = buffer.y[i] + hy * k;
+    work.z[i + n] = buffer.z[i] + hz * k;
+  }
+}
 
-    const disp = fbm3vec(nx, ny, nz, {
-      octaves,
-      persistence,
-      lacunarity,
-      frequency: 1, // Already applied via nx/ny/nz
-      amplitude: 1,
-    });
+/**
+ * Split deformed [points..., probes...] back apart; heading = deformed probe − deformed
+ * point, left at zero for points that had none.
+ */
+function attachHeadings(original, work) {
+  const n = original.count;
+  const out = createPointBuffer(n, ['heading']);
+  out.x.set(work.x.subarray(0, n));
+  out.y.set(work.y.subarray(0, n));
+  out.z.set(work.z.subarray(0, n));
+  for (let i = 0; i < n; i++) {
+    if (!original.hx[i] && !original.hy[i] && !original.hz[i]) continue;
+    out.hx[i] = work.x[i + n] - work.x[i];
+    out.hy[i] = work.y[i + n] - work.y[i];
+    out.hz[i] = work.z[i + n] - work.z[i];
+  }
+  return out;
+}
 
-    return {
-      x: p.x + disp.x * amplitude,
-      y: p.y + disp.y * amplitude,
-      z: p.z + disp.z * amplitude,
-    };
-  });
+/**
+ * Displace each point by a 3D noise vector field of the chosen basis (see fbm3).
+ * With a warp strength, the field is sampled at a domain-warped position
+ * (warpStrength world units of simplex fBm at warpFrequency, applied warpIterations
+ * times), stretching the noise into folded sheets.
+ */
+function noiseDisplace(src, dst, opts, noise) {
+  const { frequency, amplitude, octaves, persistence, lacunarity, basis, offsetX, offsetY, offsetZ } = opts;
+  const warpIterations = Math.max(0, Math.round(opts.warpIterations));
+  const warped = opts.warpStrength !== 0 && warpIterations > 0;
+  const fbmOpts = {
+    octaves,
+    persistence,
+    lacunarity,
+    basis,
+    frequency: 1, // Already applied via nx/ny/nz
+    amplitude: 1,
+  };
+
+  for (let i = 0; i < src.count; i++) {
+    const px = src.x[i], py = src.y[i], pz = src.z[i];
+    let qx = px, qy = py, qz = pz;
+    if (warped) {
+      const q = noise.domainWarp3(px, py, pz, opts.warpStrength, opts.warpFrequency, warpIterations, { octaves, persistence, lacunarity });
+      qx = q.x; qy = q.y; qz = q.z;
+    }
+    const disp = noise.fbm3vec(qx * frequency + offsetX, qy * frequency + offsetY, qz * frequency + offsetZ, fbmOpts);
+    dst.x[i] = px + disp.x * amplitude;
+    dst.y[i] = py + disp.y * amplitude;
+    dst.z[i] = pz + disp.z * amplitude;
+  }
+  return true;
 }
 
 /**
  * Twist: rotate cross-section around an axis, angle proportional to position along axis.
  */
-function twist(points, amount, axis) {
-  const { getBounds, getAxisVal, setFromRotation } = axisHelpers(axis);
-  const bounds = getBounds(points);
+function twist(src, dst, amount, axis) {
+  const along = axisArray(src, axis);
+  const bounds = arrayBounds(along);
 
-  return points.map(p => {
-    const t = (getAxisVal(p) - bounds.min) / (bounds.max - bounds.min || 1);
+  for (let i = 0; i < src.count; i++) {
+    const t = (along[i] - bounds.min) / (bounds.max - bounds.min || 1);
     const angle = (t - 0.5) * amount * Math.PI * 2;
-    return setFromRotation(p, angle, axis);
-  });
+    const c = Math.cos(angle), s = Math.sin(angle);
+    const px = src.x[i], py = src.y[i], pz = src.z[i];
+    if (axis === 'x') {
+      dst.x[i] = px; dst.y[i] = py * c - pz * s; dst.z[i] = py * s + pz * c;
+    } else if (axis === 'y') {
+      dst.x[i] = px * c + pz * s; dst.y[i] = py; dst.z[i] = -px * s + pz * c;
+    } else {
+      dst.x[i] = px * c - py * s; dst.y[i] = px * s + py * c; dst.z[i] = pz;
+    }
+  }
+  return true;
 }
 
 /**
  * Taper: scale cross-section based on position along axis.
  */
-function taper(points, startScale, endScale, axis) {
-  const { getBounds, getAxisVal } = axisHelpers(axis);
-  const bounds = getBounds(points);
+function taper(src, dst, startScale, endScale, axis) {
+  const along = axisArray(src, axis);
+  const bounds = arrayBounds(along);
 
-  return points.map(p => {
-    const t = (getAxisVal(p) - bounds.min) / (bounds.max - bounds.min || 1);
+  for (let i = 0; i < src.count; i++) {
+    const t = (along[i] - bounds.min) / (bounds.max - bounds.min || 1);
     const s = startScale + (endScale - startScale) * t;
-    return scalePerp(p, s, axis);
-  });
+    dst.x[i] = axis === 'x' ? src.x[i] : src.x[i] * s;
+    dst.y[i] = axis === 'y' ? src.y[i] : src.y[i] * s;
+    dst.z[i] = axis === 'z' ? src.z[i] : src.z[i] * s;
+  }
+  return true;
 }
 
 /**
  * Bend: curve the shape into an arc along an axis.
  */
-function bend(points, angle, axis) {
-  const { getBounds, getAxisVal } = axisHelpers(axis);
-  const bounds = getBounds(points);
-  const len = bounds.max - bounds.min || 1;
-
-  if (Math.abs(angle) < 0.001) return points.slice();
+function bend(src, dst, angle, axis) {
+  if (Math.abs(angle) < 0.001) return false;
 
+  const along = axisArray(src, axis);
+  const bounds = arrayBounds(along);
+  const len = bounds.max - bounds.min || 1;
+  const mid = bounds.min + len * 0.5;
   const radius = len / angle;
+  // Perpendicular component that bends outward: z, or y when bending along z
+  const perp = axis === 'z' ? src.y : src.z;
 
-  return points.map(p => {
-    const axisPos = getAxisVal(p);
-    const t = (axisPos - bounds.min) / len;
+  for (let i = 0; i < src.count; i++) {
+    const t = (along[i] - bounds.min) / len;
     const theta = (t - 0.5) * angle;
-
-    // Get perpendicular components
-    const perp = getPerpComponents(p, axis);
+    const r = radius + perp[i];
+    const arc = r * Math.sin(theta);
+    const depth = r * Math.cos(theta) - radius;
 
     if (axis === 'x') {
-      return {
-        x: (radius + perp.p1) * Math.sin(theta) + bounds.min + len * 0.5,
-        y: p.y,
-        z: (radius + perp.p1) * Math.cos(theta) - radius,
-      };
+      dst.x[i] = arc + mid; dst.y[i] = src.y[i]; dst.z[i] = depth;
     } else if (axis === 'y') {
-      return {
-        x: p.x,
-        y: (radius + perp.p1) * Math.sin(theta) + bounds.min + len * 0.5,
-        z: (radius + perp.p1) * Math.cos(theta) - radius,
-      };
+      dst.x[i] = src.x[i]; dst.y[i] = arc + mid; dst.z[i] = depth;
     } else {
-      return {
-        x: p.x,
-        y: (radius + perp.p1) * Math.sin(theta),
-        z: (radius + perp.p1) * Math.cos(theta) - radius + bounds.min + len * 0.5,
-      };
+      dst.x[i] = src.x[i]; dst.y[i] = arc; dst.z[i] = depth + mid;
     }
-  });
+  }
+  return true;
+}
+
+/**
+ * Wave: a sum of sine components of the travel coordinate, displacing along `direction`.
+ * Linear waves travel along `axis`; radial waves ripple out from the centre, with distance
+ * measured in the plane perpendicular to `axis`. Direction 'along' displaces in the travel
+ * direction (compression waves, or outward for ripples). The amplitude envelope ramps
+ * from envelopeStart to envelopeEnd across the cloud's range of the travel coordinate.
+ */
+function wave(src, dst, s) {
+  const components = s.components || [];
+  const n = src.count;
+  if (components.length === 0 || n === 0) return false;
+
+  const radial = s.mode === 'radial';
+  const axisUnit = AXIS_UNITS[s.axis] || AXIS_UNITS.z;
+  const dirUnit = AXIS_UNITS[s.direction];
+  const c = { x: s.centerX || 0, y: s.centerY || 0, z: s.centerZ || 0 };
+
+  // Travel coordinate per point, and its range for the envelope
+  const travel = new Float64Array(n);
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const px = src.x[i], py = src.y[i], pz = src.z[i];
+    let d = px * axisUnit.x + py * axisUnit.y + pz * axisUnit.z;
+    if (radial) {
+      const ox = px - c.x, oy = py - c.y, oz = pz - c.z;
+      const h = ox * axisUnit.x + oy * axisUnit.y + oz * axisUnit.z;
+      d = Math.sqrt(Math.max(0, ox * ox + oy * oy + oz * oz - h * h));
+    }
+    travel[i] = d;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  const range = max - min || 1;
+
+  for (let i = 0; i < n; i++) {
+    const px = src.x[i], py = src.y[i], pz = src.z[i];
+    const d = travel[i];
+    let sum = 0;
+    for (const w of components) sum += w.amplitude * Math.sin(d * w.frequency + w.phase);
+    const envelope = s.envelopeStart + (s.envelopeEnd - s.envelopeStart) * (d - min) / range;
+    const disp = sum * envelope;
+
+    let ux, uy, uz;
+    if (dirUnit) {
+      ux = dirUnit.x; uy = dirUnit.y; uz = dirUnit.z;
+    } else if (!radial) {
+      ux = axisUnit.x; uy = axisUnit.y; uz = axisUnit.z;
+    } else {
+      // Outward from the ripple centre, in the plane perpendicular to the axis
+      const ox = px - c.x, oy = py - c.y, oz = pz - c.z;
+      const h = ox * axisUnit.x + oy * axisUnit.y + oz * axisUnit.z;
+      const k = d > 1e-9 ? 1 / d : 0;
+      ux = (ox - h * axisUnit.x) * k; uy = (oy - h * axisUnit.y) * k; uz = (oz - h * axisUnit.z) * k;
+    }
+    dst.x[i] = px + ux * disp;
+    dst.y[i] = py + uy * disp;
+    dst.z[i] = pz + uz * disp;
+  }
+  return true;
 }
 
 /**
- * Wave: sinusoidal displacement perpendicular to axis.
+ * Free-form deformation: a resX × resY × resZ control lattice fit to the points' bounds.
+ * Each point moves by the basis-weighted sum of the control point offsets, using
+ * Bernstein polynomials (smooth, global) or clamped uniform B-splines (cubic where the
+ * resolution allows; local). Both bases sum to one, so zero offsets leave points in place.
+ * Fills `gizmo` with the cage: control point positions (rest + offset) and resolution.
  */
-function wave(points, freq, amp, axis, phase) {
-  return points.map(p => {
-    const axisVal = axis === 'x' ? p.x : axis === 'y' ? p.y : p.z;
-    const displacement = amp * Math.sin(axisVal * freq + phase);
+function lattice(src, dst, settings, gizmo) {
+  const { resX, resY, resZ } = latticeRes(settings);
+  const offsets = settings.offsets || [];
+  const basis = settings.interpolation === 'bernstein' ? bernsteinBasis : bsplineBasis;
+
+  if (src.count === 0) return false;
+
+  // Lattice box: point bounds, padded so surface points aren't pinned to the cage faces
+  const min = {}, size = {};
+  for (const a of ['x', 'y', 'z']) {
+    const bounds = arrayBounds(src[a]);
+    const pad = (bounds.max - bounds.min) * 0.05 + 1;
+    min[a] = bounds.min - pad;
+    size[a] = bounds.max + pad - min[a];
+  }
+
+  if (gizmo) {
+    gizmo.type = 'lattice';
+    gizmo.res = { resX, resY, resZ };
+    gizmo.targets = offsets;
+    gizmo.points = [];
+    for (let k = 0; k < resZ; k++) {
+      for (let j = 0; j < resY; j++) {
+        for (let i = 0; i < resX; i++) {
+          const o = offsets[i + resX * (j + resY * k)] || { x: 0, y: 0, z: 0 };
+          gizmo.points.push({
+            x: min.x + size.x * i / (resX - 1) + o.x,
+            y: min.y + size.y * j / (resY - 1) + o.y,
+            z: min.z + size.z * k / (resZ - 1) + o.z,
+          });
+        }
+      }
+    }
+  }
 
-    // Displace perpendicular to axis
-    if (axis === 'x') return { x: p.x, y: p.y + displacement, z: p.z };
-    if (axis === 'y') return { x: p.x + displacement, y: p.y, z: p.z };
-    return { x: p.x, y: p.y + displacement, z: p.z };
+  const bx = new Float64Array(resX), by = new Float64Array(resY), bz = new Float64Array(resZ);
+  for (let p = 0; p < src.count; p++) {
+    basis(resX, (src.x[p] - min.x) / size.x, bx);
+    basis(resY, (src.y[p] - min.y) / size.y, by);
+    basis(resZ, (src.z[p] - min.z) / size.z, bz);
+    let dx = 0, dy = 0, dz = 0;
+    for (let k = 0; k < resZ; k++) {
+      if (bz[k] === 0) continue;
+      for (let j = 0; j < resY; j++) {
+        const wjk = by[j] * bz[k];
+        if (wjk === 0) continue;
+        for (let i = 0; i < resX; i++) {
+          const o = offsets[i + resX * (j + resY * k)];
+          if (!o) continue;
+          const w = bx[i] * wjk;
+          dx += o.x * w; dy += o.y * w; dz += o.z * w;
+        }
+      }
+    }
+    dst.x[p] = src.x[p] + dx;
+    dst.y[p] = src.y[p] + dy;
+    dst.z[p] = src.z[p] + dz;
+  }
+  return true;
+}
+
+/**
+ * Attractors pull points towards each force (never past it), repulsors push them
+ * out (a predator hole), vortices rotate them around the force's axis. Forces apply
+ * in list order. Fills `gizmo` with each force's centre (the drag handle) and shape.
+ */
+function applyForces(src, dst, forces, gizmo) {
+  const compiled = forces.map(f => {
+    return {
+      ...f,
+      axis: AXIS_UNITS[f.axis] || AXIS_UNITS.z,
+      half: f.shape === 'line' ? Math.max(0, f.length) / 2 : 0,
+      radius: Math.max(1e-6, f.radius),
+    };
   });
+
+  if (gizmo) {
+    gizmo.type = 'forces';
+    gizmo.targets = forces;
+    gizmo.points = forces.map(f => ({ x: f.x, y: f.y, z: f.z }));
+    gizmo.forces = compiled.map(f => ({ kind: f.kind, center: { x: f.x, y: f.y, z: f.z }, axis: f.axis, half: f.half, radius: f.radius }));
+  }
+
+  if (compiled.length === 0) return false;
+  const q = { x: 0, y: 0, z: 0 };
+  for (let i = 0; i < src.count; i++) {
+    q.x = src.x[i]; q.y = src.y[i]; q.z = src.z[i];
+    for (const f of compiled) applyForce(q, f);
+    dst.x[i] = q.x; dst.y[i] = q.y; dst.z[i] = q.z;
+  }
+  return true;
 }
 
-// --- Helpers ---
+// Move p (in place) by one compiled force
+function applyForce(p, f) {
+  // Closest point on the force (its centre, or the nearest point on its segment)
+  const rx = p.x - f.x, ry = p.y - f.y, rz = p.z - f.z;
+  const along = Math.max(-f.half, Math.min(f.half, rx * f.axis.x + ry * f.axis.y + rz * f.axis.z));
+  const dx = rx - f.axis.x * along, dy = ry - f.axis.y * along, dz = rz - f.axis.z * along;
+  const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (r >= f.radius) return;
+
+  const amount = f.strength * Math.pow(1 - r / f.radius, Math.max(0.1, f.falloff));
+
+  if (f.kind === 'vortex') {
+    // Rotate around the axis so the arc travelled is `amount`
+    const axial = rx * f.axis.x + ry * f.axis.y + rz * f.axis.z;
+    const ox = rx - f.axis.x * axial, oy = ry - f.axis.y * axial, oz = rz - f.axis.z * axial;
+    const rho = Math.sqrt(ox * ox + oy * oy + oz * oz);
+    if (rho < 1e-9) return;
+    const angle = amount / Math.max(rho, 1);
+    const c = Math.cos(angle), s = Math.sin(angle);
+    // Rodrigues' rotation of the radial part; the axial part is unchanged
+    const cx = f.axis.y * oz - f.axis.z * oy;
+    const cy = f.axis.z * ox - f.axis.x * oz;
+    const cz = f.axis.x * oy - f.axis.y * ox;
+    p.x = f.x + f.axis.x * axial + ox * c + cx * s;
+    p.y = f.y + f.axis.y * axial + oy * c + cy * s;
+    p.z = f.z + f.axis.z * axial + oz * c + cz * s;
+    return;
+  }
 
-function axisHelpers(axis) {
-  const getAxisVal = axis === 'x' ? p => p.x : axis === 'y' ? p => p.y : p => p.z;
+  if (r < 1e-9) return;
+  const move = f.kind === 'attract' ? -Math.min(r, amount) : amount;
+  p.x += dx / r * move;
+  p.y += dy / r * move;
+  p.z += dz / r * move;
+}
 
-  function getBounds(points) {
-    let min = Infinity, max = -Infinity;
-    for (const p of points) {
-      const v = getAxisVal(p);
-      if (v < min) min = v;
-      if (v > max) max = v;
+/**
+ * Path follow: map the cloud's extent along `axis` onto the spline between arc-length
+ * fractions `start` and `end`, stretching it to fit. Cross-sections ride a
+ * parallel-transport frame (no sudden flips at inflections), scaled from scaleStart to
+ * scaleEnd and rolled from rollStart to rollEnd radians along the way. Closed paths
+ * can show a seam where the transported frame fails to meet itself.
+ * Fills `gizmo` with the control points and the sampled curve.
+ */
+function followPath(src, dst, s, gizmo) {
+  const path = s.path || [];
+  if (path.length < 2) return false;
+  const closed = !!s.closed && path.length >= 3;
+
+  // Sample the curve with cumulative arc length
+  const samples = [];
+  let length = 0;
+  for (let i = 0; i <= PATH_SAMPLES; i++) {
+    const c = catmullRomPoint(path, i / PATH_SAMPLES, closed);
+    if (i > 0) {
+      const prev = samples[i - 1];
+      length += Math.sqrt((c.x - prev.x) ** 2 + (c.y - prev.y) ** 2 + (c.z - prev.z) ** 2);
     }
-    return { min, max };
+    samples.push({ x: c.x, y: c.y, z: c.z, len: length });
+  }
+
+  if (gizmo) {
+    gizmo.type = 'path';
+    gizmo.targets = path;
+    gizmo.points = path.map(p => ({ x: p.x, y: p.y, z: p.z }));
+    gizmo.curve = samples;
   }
 
-  function setFromRotation(p, angle, ax) {
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    if (ax === 'x') return { x: p.x, y: p.y * c - p.z * s, z: p.y * s + p.z * c };
-    if (ax === 'y') return { x: p.x * c + p.z * s, y: p.y, z: -p.x * s + p.z * c };
-    return { x: p.x * c - p.y * s, y: p.x * s + p.y * c, z: p.z };
+  if (length < 1e-9 || src.count === 0) return false;
+
+  // Cross-section axes (u, v), right-handed with the mapped axis
+  const [axisU, axisV] = s.axis === 'x' ? ['y', 'z'] : s.axis === 'y' ? ['z', 'x'] : ['x', 'y'];
+
+  // Tangents by central difference, then a normal carried along by projection. The first
+  // normal starts from the u axis, so a straight path along the mapped axis keeps the
+  // cloud's orientation.
+  for (let i = 0; i <= PATH_SAMPLES; i++) {
+    const a = samples[Math.max(0, i - 1)], b = samples[Math.min(PATH_SAMPLES, i + 1)];
+    samples[i].t = normalize({ x: b.x - a.x, y: b.y - a.y, z: b.z - a.z });
   }
+  for (let i = 0; i <= PATH_SAMPLES; i++) {
+    const t = samples[i].t;
+    const fallback = Math.abs(t[axisU]) > 0.95 ? AXIS_UNITS[axisV] : AXIS_UNITS[axisU];
+    let n = perpendicularTo(i === 0 ? fallback : samples[i - 1].n, t);
+    if (n.x * n.x + n.y * n.y + n.z * n.z < 1e-12) n = perpendicularTo(fallback, t);
+    samples[i].n = normalize(n);
+  }
+
+  const along = axisArray(src, s.axis);
+  const crossU = src[axisU], crossV = src[axisV];
+  const bounds = arrayBounds(along);
+  const range = bounds.max - bounds.min || 1;
 
-  return { getBounds, getAxisVal, setFromRotation };
+  for (let i = 0; i < src.count; i++) {
+    const u = (along[i] - bounds.min) / range;
+    const target = (s.start + (s.end - s.start) * u) * length;
+
+    // Binary search for the bracketing samples
+    let lo = 0, hi = PATH_SAMPLES;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].len <= target) lo = mid; else hi = mid;
+    }
+    const a = samples[lo], b = samples[hi];
+    const f = Math.max(0, Math.min(1, (target - a.len) / (b.len - a.len || 1)));
+    const pos = { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, z: a.z + (b.z - a.z) * f };
+    const t = normalize({ x: a.t.x + (b.t.x - a.t.x) * f, y: a.t.y + (b.t.y - a.t.y) * f, z: a.t.z + (b.t.z - a.t.z) * f });
+    const n = normalize(perpendicularTo({
+      x: a.n.x + (b.n.x - a.n.x) * f, y: a.n.y + (b.n.y - a.n.y) * f, z: a.n.z + (b.n.z - a.n.z) * f,
+    }, t));
+    const bn = { x: t.y * n.z - t.z * n.y, y: t.z * n.x - t.x * n.z, z: t.x * n.y - t.y * n.x };
+
+    // Cross-section coordinates, rolled and scaled
+    const cu = crossU[i], cv = crossV[i];
+    const roll = s.rollStart + (s.rollEnd - s.rollStart) * u;
+    const scale = s.scaleStart + (s.scaleEnd - s.scaleStart) * u;
+    const cr = Math.cos(roll), sr = Math.sin(roll);
+    const ru = (cu * cr - cv * sr) * scale, rv = (cu * sr + cv * cr) * scale;
+
+    dst.x[i] = pos.x + n.x * ru + bn.x * rv;
+    dst.y[i] = pos.y + n.y * ru + bn.y * rv;
+    dst.z[i] = pos.z + n.z * ru + bn.z * rv;
+  }
+  return true;
 }
 
-function scalePerp(p, s, axis) {
-  if (axis === 'x') return { x: p.x, y: p.y * s, z: p.z * s };
-  if (axis === 'y') return { x: p.x * s, y: p.y, z: p.z * s };
-  return { x: p.x * s, y: p.y * s, z: p.z };
+// v with its component along unit vector t removed
+function perpendicularTo(v, t) {
+  const d = v.x * t.x + v.y * t.y + v.z * t.z;
+  return { x: v.x - d * t.x, y: v.y - d * t.y, z: v.z - d * t.z };
 }
 
-function getPerpComponents(p, axis) {
-  if (axis === 'x') return { p1: p.z, p2: p.y };
-  if (axis === 'y') return { p1: p.z, p2: p.x };
-  return { p1: p.y, p2: p.x };
+function normalize(v) {
+  const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+/**
+ * Degree n − 1 Bernstein weights at t ∈ [0, 1] for n control points.
+ */
+function bernsteinBasis(n, t, out) {
+  t = Math.max(0, Math.min(1, t));
+  const deg = n - 1;
+  let binom = 1;
+  for (let i = 0; i <= deg; i++) {
+    out[i] = binom * Math.pow(t, i) * Math.pow(1 - t, deg - i);
+    binom = binom * (deg - i) / (i + 1);
+  }
+}
+
+/**
+ * Clamped uniform B-spline weights at t ∈ [0, 1] for n control points
+ * (degree min(3, n − 1)), via Cox–de Boor.
+ */
+function bsplineBasis(n, t, out) {
+  t = Math.max(0, Math.min(1, t));
+  const deg = Math.min(3, n - 1);
+  const spans = n - deg;
+  const knot = (i) => Math.max(0, Math.min(spans, i - deg)) / spans;
+
+  // Degree 0: the span containing t (the last span includes t = 1)
+  const span = Math.min(spans - 1, Math.floor(t * spans)) + deg;
+  const N = new Float64Array(n + deg);
+  N[span] = 1;
+  for (let d = 1; d <= deg; d++) {
+    for (let i = 0; i < n + deg - d; i++) {
+      const a = knot(i + d) - knot(i);
+      const b = knot(i + d + 1) - knot(i + 1);
+      N[i] = (a > 0 ? (t - knot(i)) / a * N[i] : 0) + (b > 0 ? (knot(i + d + 1) - t) / b * N[i + 1] : 0);
+    }
+  }
+  for (let i = 0; i < n; i++) out[i] = N[i];
+}
+
+// --- Helpers ---
+
+// A buffer's component array along an axis
+function axisArray(buffer, axis) {
+  return axis === 'x' ? buffer.x : axis === 'y' ? buffer.y : buffer.z;
+}
+
+function arrayBounds(values) {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
 }
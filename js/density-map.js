@@ -0,0 +1,91 @@
+// density-map.js — Grayscale image projected onto the cloud to modulate sampling density.
+// The image is reduced to a luminance grid; generate.js multiplies acceptance by it.
+
+import { rotateX, rotateY, rotateZ } from './vec3.js';
+
+const MAX_MAP_SIZE = 256;
+
+let currentMap = null;
+
+/**
+ * Build a luminance grid from an image source (ImageBitmap, HTMLImageElement, canvas).
+ * Transparent pixels count as black.
+ */
+export function buildDensityMap(image) {
+  const scale = Math.min(1, MAX_MAP_SIZE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const r = pixels[i * 4] / 255;
+    const g = pixels[i * 4 + 1] / 255;
+    const b = pixels[i * 4 + 2] / 255;
+    const a = pixels[i * 4 + 3] / 255;
+    data[i] = (0.2126 * r + 0.7152 * g + 0.0722 * b) * a;
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Register the density map used by densityAcceptance. Pass null to clear.
+ */
+export function setDensityMap(map) {
+  currentMap = map;
+}
+
+/**
+ * The current density map, or null if none is loaded.
+ */
+export function getDensityMap() {
+  return currentMap;
+}
+
+/**
+ * Luminance in [0,1] under a world-space point.
+ * The image is centred on the origin, its longest side spanning 2 × densityMapSize,
+ * and projected along densityMapAxis ('x', 'y', 'z' or 'camera'). Camera projection
+ * uses the captured densityMapRotX/Y/Z so the map doesn't move with later orbits.
+ * Points beyond the image take the nearest edge pixel.
+ */
+export function densityMapValue(map, p, params) {
+  let u, v;
+  switch (params.densityMapAxis) {
+    case 'x': u = p.z; v = p.y; break;
+    case 'y': u = p.x; v = p.z; break;
+    case 'camera': {
+      let r = rotateX(p, params.densityMapRotX || 0);
+      r = rotateY(r, params.densityMapRotY || 0);
+      r = rotateZ(r, params.densityMapRotZ || 0);
+      u = r.x; v = r.y;
+      break;
+    }
+    default: u = p.x; v = p.y;
+  }
+
+  const size = params.densityMapSize || 100;
+  const longest = Math.max(map.width, map.height);
+  const px = (u / size * longest / 2 + map.width / 2) - 0.5;
+  const py = (v / size * longest / 2 + map.height / 2) - 0.5;
+
+  const cx = Math.max(0, Math.min(map.width - 1, px));
+  const cy = Math.max(0, Math.min(map.height - 1, py));
+  const x0 = Math.floor(cx), y0 = Math.floor(cy);
+  const x1 = Math.min(map.width - 1, x0 + 1), y1 = Math.min(map.height - 1, y0 + 1);
+  const fx = cx - x0, fy = cy - y0;
+
+  const d = map.data, w = map.width;
+  const top = d[y0 * w + x0] + (d[y0 * w + x1] - d[y0 * w + x0]) * fx;
+  const bottom = d[y1 * w + x0] + (d[y1 * w + x1] - d[y1 * w + x0]) * fx;
+  const lum = top + (bottom - top) * fy;
+
+  return params.densityMapInvert ? 1 - lum : lum;
+}
@@ -2,7 +2,27 @@
 // Each returns an array of {x, y, z} points.
 // Supports non-uniform density (rejection sampling) and multi-cluster sub-flocks.
 
-import { simplex3, seed as noiseSeed } from './noise.js';
+import { createNoise } from './noise.js';
+import { catmullRomPoint, catmullRomTangent } from './spline.js';
+import { getMesh, sampleMeshSurface, isInsideMesh } from './mesh.js';
+import { compileSDF, cylinderSDF, cappedConeSDF, superquadricSDF } from './sdf.js';
+import { getOutlineField, outlineSolid } from './outline.js';
+import { getDensityMap, densityMapValue } from './density-map.js';
+import { simulateBoids } from './boids.js';
+import { createAttractor } from './attractors.js';
+import { pointsToBuffer } from './point-buffer.js';
+
+/**
+ * Default swept-curve spine: an S-curve through 3D space.
+ * `r` is a per-point multiplier on sweptRadius.
+ */
+export const DEFAULT_SPINE = [
+  { x: -60, y: 0, z: -80, r: 1 },
+  { x: -30, y: 30, z: -30, r: 1 },
+  { x: 0, y: -20, z: 0, r: 1 },
+  { x: 30, y: 25, z: 30, r: 1 },
+  { x: 60, y: -10, z: 80, r: 1 },
+];
 
 /**
  * Seeded PRNG (Mulberry32). Returns a function that yields [0,1) floats.
@@ -17,22 +37,80 @@ function mulberry32(a) {
 }
 
 /**
- * Generate the point cloud based on params. Orchestrates sub-flocks if enabled.
+ * Generate the base point buffer (see point-buffer.js) from params, with a heading
+ * attribute when the shape provides one (boids).
  */
 export function generateCloud(params) {
-  const { subFlocks, subFlockSpread, subFlockSizeVar, subFlockBridge, seed } = params;
+  return pointsToBuffer(generateCloudPoints(params));
+}
+
+/**
+ * Generate the point cloud based on params. Orchestrates sub-flocks if enabled:
+ * either a random layout (subFlocks count) or the explicit subFlockList.
+ */
+function generateCloudPoints(params) {
+  const { seed } = params;
+
+  // Shape-stage noise (density modulation, bridge bows), independent of later stages
+  const noise = createNoise(params.densitySeed);
+
+  // Poisson-disk mode: one spacing grid shared by every sub-flock and bridge
+  const spacing = params.samplingMode === 'poisson' && params.minSpacing > 0
+    ? createSpacingGrid(params.minSpacing)
+    : null;
+
+  const layout = params.subFlockCustom && params.subFlockList && params.subFlockList.length > 0
+    ? customSubFlockLayout(params)
+    : randomSubFlockLayout(params);
+
+  if (!layout) {
+    return generateSingleCloud({ ...params, spacing, noise });
+  }
+
+  const { flocks, bridgeCount, maxR } = layout;
+  const centers = flocks.map(f => f.center);
+  const allPoints = [];
 
-  // Seed noise for density sampling
-  noiseSeed(seed);
+  for (const flock of flocks) {
+    if (spacing) spacing.offset = flock.center;
+    const pts = generateSingleCloud({ ...flock.params, spacing, noise, center: flock.center });
+    // Offset to sub-flock center
+    for (const p of pts) {
+      p.x += flock.center.x;
+      p.y += flock.center.y;
+      p.z += flock.center.z;
+      allPoints.push(p);
+    }
+  }
 
-  if (!subFlocks || subFlocks <= 1) {
-    return generateSingleCloud(params);
+  // Bridge/tendril birds between flocks
+  if (bridgeCount > 0 && flocks.length > 1) {
+    if (spacing) spacing.offset = { x: 0, y: 0, z: 0 };
+    const bridgePoints = generateBridgePoints(centers, bridgeCount, {
+      tubeR: maxR * (params.bridgeWidth === undefined ? 0.1 : params.bridgeWidth),
+      topology: params.bridgeTopology,
+      k: params.bridgeK,
+      curve: params.bridgeCurve,
+      taper: params.bridgeTaper === undefined ? 1 : params.bridgeTaper,
+      fade: params.bridgeFade,
+      noise,
+    }, seed + 7777, spacing);
+    for (const p of bridgePoints) allPoints.push(p);
   }
 
-  // Multi-cluster generation
+  return allPoints;
+}
+
+/**
+ * Random sub-flock layout: centers scattered by subFlockSpread, every flock a
+ * scaled copy of the global shape. Returns null for a single flock.
+ */
+function randomSubFlockLayout(params) {
+  const { subFlocks, subFlockSpread, subFlockSizeVar, subFlockBridge, seed } = params;
+  if (!subFlocks || subFlocks <= 1) return null;
+
   const rng = mulberry32(seed + 999);
   const maxR = Math.max(params.radiusX, params.radiusY, params.radiusZ);
-  const allPoints = [];
 
   // Generate sub-flock centers
   const centers = [];
@@ -49,36 +127,161 @@ export function generateCloud(params) {
   const flockCount = params.count - bridgeCount;
   const counts = distributeCount(flockCount, subFlocks, subFlockSizeVar, rng);
 
-  for (let f = 0; f < subFlocks; f++) {
+  const flocks = centers.map((center, f) => {
     const scale = 1.0 - subFlockSizeVar * rng() * 0.5;
-    const subParams = {
-      ...params,
-      count: counts[f],
-      radiusX: params.radiusX * scale,
-      radiusY: params.radiusY * scale,
-      radiusZ: params.radiusZ * scale,
-      torusMajor: params.torusMajor * scale,
-      torusMinor: params.torusMinor * scale,
-      sweptRadius: (params.sweptRadius || 15) * scale,
-      seed: seed + f * 1000,
+    return {
+      center,
+      params: {
+        ...params,
+        count: counts[f],
+        radiusX: params.radiusX * scale,
+        radiusY: params.radiusY * scale,
+        radiusZ: params.radiusZ * scale,
+        torusMajor: params.torusMajor * scale,
+        torusMinor: params.torusMinor * scale,
+        sweptRadius: (params.sweptRadius || 15) * scale,
+        funnelTop: params.funnelTop * scale,
+        funnelBottom: params.funnelBottom * scale,
+        helixRadius: params.helixRadius * scale,
+        helixTube: params.helixTube * scale,
+        helixPitch: params.helixPitch * scale,
+        mobiusRadius: params.mobiusRadius * scale,
+        mobiusWidth: params.mobiusWidth * scale,
+        mobiusThickness: params.mobiusThickness * scale,
+        seed: seed + f * 1000,
+      },
     };
-    const pts = generateSingleCloud(subParams);
-    // Offset to sub-flock center
-    for (const p of pts) {
-      p.x += centers[f].x;
-      p.y += centers[f].y;
-      p.z += centers[f].z;
+  });
+
+  return { flocks, bridgeCount, maxR };
+}
+
+/**
+ * Explicit sub-flock layout from params.subFlockList. Each entry sets its own
+ * center, shape type, fill mode, radii, seed and share of the bird count.
+ * Radii are the flock's half-extents: a torus lies in the XY plane with
+ * radiusZ as its tube radius, a swept tube uses the smallest radius, and a
+ * funnel, helix or Möbius band keeps the global proportions scaled to fit.
+ */
+function customSubFlockLayout(params) {
+  const entries = params.subFlockList;
+  const bridgeCount = entries.length > 1 ? Math.floor(params.count * (params.subFlockBridge || 0)) : 0;
+  const flockCount = params.count - bridgeCount;
+  const totalShare = entries.reduce((sum, e) => sum + Math.max(0, e.share), 0) || 1;
+
+  let maxR = 0;
+  const flocks = entries.map(e => {
+    const rx = Math.max(1, e.radiusX), ry = Math.max(1, e.radiusY), rz = Math.max(1, e.radiusZ);
+    maxR = Math.max(maxR, rx, ry, rz);
+    return {
+      center: { x: e.x, y: e.y, z: e.z },
+      params: {
+        ...params,
+        shapeType: e.shapeType,
+        fillMode: e.fillMode,
+        count: Math.round(flockCount * Math.max(0, e.share) / totalShare),
+        radiusX: rx,
+        radiusY: ry,
+        radiusZ: rz,
+        torusMajor: Math.max(1, Math.max(rx, ry) - rz),
+        torusMinor: rz,
+        sweptRadius: Math.min(rx, ry, rz),
+        ...fitShapeToExtents(params, rx, ry, rz),
+        seed: e.seed,
+      },
+    };
+  });
+
+  return { flocks, bridgeCount, maxR };
+}
+
+/**
+ * Funnel, helix and Möbius params scaled so the shape fills the given half-extents.
+ */
+function fitShapeToExtents(params, rx, ry, rz) {
+  const rxy = Math.max(rx, ry);
+  const funnelScale = rxy / (Math.max(params.funnelBottom, params.funnelTop) || 1);
+  const helixScale = rxy / ((params.helixRadius + params.helixTube) || 1);
+  const mobiusScale = rxy / ((params.mobiusRadius + params.mobiusWidth) || 1);
+  const helixTube = params.helixTube * helixScale;
+  return {
+    funnelTop: params.funnelTop * funnelScale,
+    funnelBottom: params.funnelBottom * funnelScale,
+    helixRadius: params.helixRadius * helixScale,
+    helixTube,
+    // Stretch the pitch so the coil spans the Z extent
+    helixPitch: Math.max(0, 2 * (rz - helixTube)) / Math.max(0.1, params.helixTurns),
+    mobiusRadius: params.mobiusRadius * mobiusScale,
+    mobiusWidth: params.mobiusWidth * mobiusScale,
+    mobiusThickness: params.mobiusThickness * mobiusScale,
+  };
+}
+
+/**
+ * Half-extents of a shape, the inverse of customSubFlockLayout's radius mapping.
+ */
+function shapeHalfExtents(p) {
+  switch (p.shapeType) {
+    case 'torus': {
+      const r = p.torusMajor + p.torusMinor;
+      return [r, r, p.torusMinor];
+    }
+    case 'swept':
+      return [p.sweptRadius, p.sweptRadius, p.sweptRadius];
+    case 'funnel': {
+      const r = Math.max(p.funnelBottom, p.funnelTop);
+      return [r, r, p.radiusZ];
+    }
+    case 'helix': {
+      const r = p.helixRadius + p.helixTube;
+      return [r, r, p.helixPitch * Math.max(0.1, p.helixTurns) / 2 + p.helixTube];
     }
-    allPoints.push(...pts);
+    case 'mobius': {
+      const r = p.mobiusRadius + p.mobiusWidth;
+      return [r, r, p.mobiusWidth];
+    }
+    default:
+      return [p.radiusX, p.radiusY, p.radiusZ];
   }
+}
 
-  // Bridge/tendril birds between flocks
-  if (bridgeCount > 0 && subFlocks > 1) {
-    const bridgePoints = generateBridgePoints(centers, bridgeCount, maxR * 0.1, seed + 7777);
-    allPoints.push(...bridgePoints);
-  }
+/**
+ * A new subFlockList entry, offset so successive entries don't stack.
+ */
+export function defaultSubFlock(index = 0) {
+  return {
+    x: index * 80, y: 0, z: 0,
+    shapeType: 'ellipsoid',
+    fillMode: 'volume',
+    radiusX: 40, radiusY: 30, radiusZ: 60,
+    share: 1,
+    seed: 1000 + index,
+  };
+}
 
-  return allPoints;
+/**
+ * The current random layout as editable subFlockList entries
+ * (a starting point when switching to a custom layout).
+ */
+export function subFlockListFromRandom(params) {
+  const layout = randomSubFlockLayout({ ...params, subFlocks: Math.max(2, params.subFlocks) });
+  const total = layout.flocks.reduce((sum, f) => sum + f.params.count, 0) || 1;
+  return layout.flocks.map(({ center, params: p }) => {
+    // Express shape dimensions as half-extents (see customSubFlockLayout)
+    const radii = shapeHalfExtents(p);
+    return {
+      x: Math.round(center.x),
+      y: Math.round(center.y),
+      z: Math.round(center.z),
+      shapeType: p.shapeType,
+      fillMode: p.fillMode,
+      radiusX: Math.round(radii[0]),
+      radiusY: Math.round(radii[1]),
+      radiusZ: Math.round(radii[2]),
+      share: Math.round(p.count / total * 100) / 100,
+      seed: p.seed,
+    };
+  });
 }
 
 /**
@@ -96,56 +299,144 @@ function distributeCount(total, n, sizeVar, rng) {
 
 /**
  * Generate bridge/tendril points along paths between flock centers.
+ * opts: { tubeR, topology, k, curve, taper, fade, noise } — see bridgeEdges for topologies.
+ * Paths bow sideways by noise (curve × path length at the midpoint), the tube
+ * radius goes from tubeR to tubeR × taper, and density thins by `fade` mid-path.
  */
-function generateBridgePoints(centers, count, tubeR, seed) {
+function generateBridgePoints(centers, count, opts, seed, spacing) {
   const rng = mulberry32(seed);
   const points = [];
+  const { tubeR, curve = 0, taper = 1, fade = 0, noise } = opts;
 
-  // Create paths between all pairs of adjacent centers
-  const paths = [];
-  for (let i = 0; i < centers.length - 1; i++) {
-    paths.push([centers[i], centers[i + 1]]);
-  }
-  // Also connect last to first if 3+ flocks
-  if (centers.length >= 3) {
-    paths.push([centers[centers.length - 1], centers[0]]);
-  }
+  const paths = bridgeEdges(centers, opts.topology, opts.k).map(([i, j]) => [centers[i], centers[j]]);
+  if (paths.length === 0) return points;
 
   const perPath = Math.floor(count / paths.length);
 
-  for (const [a, b] of paths) {
-    for (let i = 0; i < perPath; i++) {
+  paths.forEach(([a, b], pathIndex) => {
+    const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+    const fwd = { x: dx / len, y: dy / len, z: dz / len };
+
+    // Centerline: straight lerp plus a sideways noise bow that vanishes at both ends
+    const noiseOffset = 100 + pathIndex * 37.1;
+    const pathPoint = (t) => {
+      const base = { x: a.x + dx * t, y: a.y + dy * t, z: a.z + dz * t };
+      if (curve <= 0) return base;
+      const n = noise.fbm3vec(noiseOffset + t * 1.5, noiseOffset, noiseOffset, { octaves: 2 });
+      const along = n.x * fwd.x + n.y * fwd.y + n.z * fwd.z;
+      const bow = Math.sin(Math.PI * t) * curve * len * 2;
+      return {
+        x: base.x + (n.x - along * fwd.x) * bow,
+        y: base.y + (n.y - along * fwd.y) * bow,
+        z: base.z + (n.z - along * fwd.z) * bow,
+      };
+    };
+
+    let placed = 0;
+    let attempts = 0;
+    while (placed < perPath && attempts < perPath * 20) {
+      attempts++;
       const t = rng();
-      // Lerp between centers with some noise
-      const px = a.x + (b.x - a.x) * t;
-      const py = a.y + (b.y - a.y) * t;
-      const pz = a.z + (b.z - a.z) * t;
 
       // Random offset perpendicular to path (in disc)
       const angle = rng() * Math.PI * 2;
-      const r = tubeR * Math.sqrt(rng());
+      const r = tubeR * (1 + (taper - 1) * t) * Math.sqrt(rng());
 
-      // Use a simple perpendicular basis
-      const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
-      const len = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
-      const fwd = { x: dx / len, y: dy / len, z: dz / len };
+      if (fade > 0 && rng() > 1 - fade * Math.sin(Math.PI * t)) continue;
 
+      const pos = pathPoint(t);
+      let forward = fwd;
+      if (curve > 0) {
+        const ahead = pathPoint(Math.min(1, t + 0.01));
+        const behind = pathPoint(Math.max(0, t - 0.01));
+        forward = normalizeVec({ x: ahead.x - behind.x, y: ahead.y - behind.y, z: ahead.z - behind.z });
+      }
+
+      // Use a simple perpendicular basis
       let up = { x: 0, y: 1, z: 0 };
-      if (Math.abs(fwd.y) > 0.95) up = { x: 1, y: 0, z: 0 };
-      const right = normalizeVec(crossVec(fwd, up));
-      const realUp = crossVec(right, fwd);
-
-      points.push({
-        x: px + r * (Math.cos(angle) * right.x + Math.sin(angle) * realUp.x),
-        y: py + r * (Math.cos(angle) * right.y + Math.sin(angle) * realUp.y),
-        z: pz + r * (Math.cos(angle) * right.z + Math.sin(angle) * realUp.z),
-      });
+      if (Math.abs(forward.y) > 0.95) up = { x: 1, y: 0, z: 0 };
+      const right = normalizeVec(crossVec(forward, up));
+      const realUp = crossVec(right, forward);
+
+      const p = {
+        x: pos.x + r * (Math.cos(angle) * right.x + Math.sin(angle) * realUp.x),
+        y: pos.y + r * (Math.cos(angle) * right.y + Math.sin(angle) * realUp.y),
+        z: pos.z + r * (Math.cos(angle) * right.z + Math.sin(angle) * realUp.z),
+      };
+      placed++;
+      if (!spacing || spacing.tryInsert(p)) points.push(p);
     }
-  }
+  });
 
   return points;
 }
 
+/**
+ * Which flock centers to connect, as index pairs.
+ * chain: i → i+1; loop: chain closed back to the start (3+ flocks);
+ * mst: minimum spanning tree by distance; all: every pair; knn: each flock to its k nearest.
+ */
+function bridgeEdges(centers, topology = 'loop', k = 2) {
+  const n = centers.length;
+  const edges = [];
+  const dist = (i, j) => {
+    const dx = centers[i].x - centers[j].x, dy = centers[i].y - centers[j].y, dz = centers[i].z - centers[j].z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  };
+
+  switch (topology) {
+    case 'chain':
+      for (let i = 0; i < n - 1; i++) edges.push([i, i + 1]);
+      break;
+    case 'mst': {
+      // Prim's algorithm
+      const inTree = [0];
+      const remaining = new Set(Array.from({ length: n - 1 }, (_, i) => i + 1));
+      while (remaining.size > 0) {
+        let best = null;
+        for (const i of inTree) {
+          for (const j of remaining) {
+            const d = dist(i, j);
+            if (!best || d < best.d) best = { i, j, d };
+          }
+        }
+        edges.push([best.i, best.j]);
+        inTree.push(best.j);
+        remaining.delete(best.j);
+      }
+      break;
+    }
+    case 'all':
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) edges.push([i, j]);
+      }
+      break;
+    case 'knn': {
+      const seen = new Set();
+      for (let i = 0; i < n; i++) {
+        const nearest = Array.from({ length: n }, (_, j) => j)
+          .filter(j => j !== i)
+          .sort((p, q) => dist(i, p) - dist(i, q))
+          .slice(0, Math.max(1, k));
+        for (const j of nearest) {
+          const key = i < j ? `${i}_${j}` : `${j}_${i}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          edges.push(i < j ? [i, j] : [j, i]);
+        }
+      }
+      break;
+    }
+    default:
+      // Loop: chain, closed back to the first flock when there are 3+
+      for (let i = 0; i < n - 1; i++) edges.push([i, i + 1]);
+      if (n >= 3) edges.push([n - 1, 0]);
+  }
+
+  return edges;
+}
+
 /**
  * Generate a single point cloud for one shape type.
  */
@@ -153,29 +444,116 @@ function generateSingleCloud(params) {
   const { shapeType, count, seed } = params;
 
   switch (shapeType) {
-    case 'ellipsoid':
-      return generateEllipsoid(count, params.radiusX, params.radiusY, params.radiusZ, params.fillMode, seed, params);
     case 'sphere':
       return generateSphere(count, Math.max(params.radiusX, params.radiusY, params.radiusZ), params.fillMode, seed, params);
     case 'torus':
       return generateTorus(count, params.torusMajor, params.torusMinor, params.fillMode, seed, params);
-    case 'swept':
-      return generateSweptCurve(count, params.sweptRadius || 15, seed, params);
-    default:
-      return generateEllipsoid(count, params.radiusX, params.radiusY, params.radiusZ, params.fillMode, seed, params);
+    case 'swept': {
+      const { spine, closed } = resolveSpine(params);
+      return generateSweptCurve(count, params.sweptRadius || 15, spine, closed, seed, params);
+    }
+    case 'cylinder': {
+      const { radiusX: rx, radiusY: ry, radiusZ: rz } = params;
+      const bounds = { minX: -rx, maxX: rx, minY: -ry, maxY: ry, minZ: -rz, maxZ: rz };
+      return generateDistanceField(count, cylinderSDF(rx, ry, rz), bounds, params.fillMode, seed, params);
+    }
+    case 'funnel': {
+      const r = Math.max(params.funnelBottom, params.funnelTop);
+      const h = params.radiusZ;
+      const bounds = { minX: -r, maxX: r, minY: -r, maxY: r, minZ: -h, maxZ: h };
+      const distance = cappedConeSDF(h, params.funnelBottom, params.funnelTop);
+      return generateDistanceField(count, distance, bounds, params.fillMode, seed, params);
+    }
+    case 'superquadric': {
+      const { radiusX: rx, radiusY: ry, radiusZ: rz } = params;
+      const bounds = { minX: -rx, maxX: rx, minY: -ry, maxY: ry, minZ: -rz, maxZ: rz };
+      const distance = superquadricSDF(rx, ry, rz, params.superE1, params.superE2);
+      return generateDistanceField(count, distance, bounds, params.fillMode, seed, params);
+    }
+    case 'helix':
+      return generateHelix(count, params.helixRadius, params.helixTube, params.helixPitch,
+        params.helixTurns, params.fillMode, seed, params);
+    case 'mobius':
+      return generateMobius(count, params.mobiusRadius, params.mobiusWidth, params.mobiusThickness,
+        params.mobiusTwists, params.fillMode, seed, params);
+    case 'attractor':
+      return generateAttractor(count, params.attractorType, params.attractorStride,
+        params.radiusX, params.radiusY, params.radiusZ, seed, params);
+    case 'mesh': {
+      const mesh = getMesh();
+      if (!mesh || mesh.triCount === 0) break; // Nothing loaded yet, or no faces to sample
+      return generateMesh(count, mesh, Math.max(params.radiusX, params.radiusY, params.radiusZ), params.fillMode, seed, params);
+    }
+    case 'sdf': {
+      if (!params.sdfPrimitives || params.sdfPrimitives.length === 0) break;
+      const { spine, closed } = resolveSpine(params);
+      const sdf = compileSDF(params.sdfPrimitives, spine, closed);
+      return generateDistanceField(count, sdf.distance, sdf.bounds, params.fillMode, seed, params);
+    }
+    case 'outline': {
+      const field = getOutlineField(params);
+      if (!field) break;
+      const solid = outlineSolid(field, {
+        mode: params.outlineMode,
+        size: Math.max(params.radiusX, params.radiusY),
+        depth: params.outlineDepth,
+        bevel: params.outlineBevel,
+        latheRadius: params.outlineLatheRadius,
+      });
+      return generateDistanceField(count, solid.distance, solid.bounds, params.fillMode, seed, params);
+    }
+    case 'boids': {
+      // Start from any other primitive, then flock
+      const base = params.boidsBase && params.boidsBase !== 'boids' ? params.boidsBase : 'ellipsoid';
+      const start = generateSingleCloud({ ...params, shapeType: base });
+      return simulateBoids(start, {
+        steps: params.boidsSteps,
+        radius: params.boidsRadius,
+        separation: params.boidsSeparation,
+        alignment: params.boidsAlignment,
+        cohesion: params.boidsCohesion,
+        roost: params.boidsRoost,
+        speed: params.boidsSpeed,
+      }, mulberry32(seed + 4242));
+    }
   }
+
+  // Ellipsoid, and the fallback for shapes missing their source data
+  return generateEllipsoid(count, params.radiusX, params.radiusY, params.radiusZ, params.fillMode, seed, params);
 }
 
 /**
- * Compute density acceptance probability for a point.
+ * Swept-curve spine from params, falling back to the default S-curve.
+ */
+function resolveSpine(params) {
+  const spine = params.sweptSpine && params.sweptSpine.length >= 2 ? params.sweptSpine : DEFAULT_SPINE;
+  return { spine, closed: !!params.sweptClosed && spine.length >= 3 };
+}
+
+/**
+ * Accept or reject a candidate point: density first, then minimum spacing
+ * (Poisson-disk mode) so crowded regions still follow the density falloff.
  */
 function densityAcceptance(p, distFromCenter, fillMode, densityParams, rng) {
+  if (!passesDensity(p, distFromCenter, fillMode, densityParams, rng)) return false;
+  return !densityParams.spacing || densityParams.spacing.tryInsert(p);
+}
+
+/**
+ * Compute density acceptance probability for a point.
+ * Density noise is sampled from densityParams.noise (set up by generateCloud).
+ * The density map is sampled at the point's final position: p is relative to the
+ * sub-flock, so densityParams.center (when set) is added first.
+ */
+function passesDensity(p, distFromCenter, fillMode, densityParams, rng) {
   const densityFalloff = densityParams.densityFalloff || 0;
   const densityNoise = densityParams.densityNoise || 0;
   const densityNoiseFreq = densityParams.densityNoiseFreq || 0;
+  const densityMap = densityParams.densityMapEnabled ? getDensityMap() : null;
+  const densityMapStrength = densityParams.densityMapStrength || 0;
 
   // Default: no rejection
-  if (densityFalloff <= 0 && densityNoise <= 0) return true;
+  if (densityFalloff <= 0 && densityNoise <= 0 && (!densityMap || densityMapStrength <= 0)) return true;
 
   let prob = 1.0;
 
@@ -186,11 +564,22 @@ function densityAcceptance(p, distFromCenter, fillMode, densityParams, rng) {
 
   // Noise-based density modulation (works for both surface and volume)
   if (densityNoise > 0 && densityNoiseFreq > 0) {
-    const nval = simplex3(p.x * densityNoiseFreq, p.y * densityNoiseFreq, p.z * densityNoiseFreq);
+    const nval = densityParams.noise.fbm3(p.x * densityNoiseFreq, p.y * densityNoiseFreq, p.z * densityNoiseFreq, {
+      octaves: 1,
+      basis: densityParams.densityNoiseBasis,
+    });
     const noiseP = 1.0 - densityNoise + densityNoise * (0.5 + 0.5 * nval);
     prob *= noiseP;
   }
 
+  // Image density map (luminance under the projected point)
+  if (densityMap && densityMapStrength > 0) {
+    const c = densityParams.center;
+    const q = c ? { x: p.x + c.x, y: p.y + c.y, z: p.z + c.z } : p;
+    const lum = densityMapValue(densityMap, q, densityParams);
+    prob *= 1.0 - densityMapStrength + densityMapStrength * lum;
+  }
+
   return rng() < prob;
 }
 
@@ -288,28 +677,20 @@ function generateTorus(count, majorR, minorR, fillMode, seed, densityParams) {
 
 /**
  * Swept curve — density-controlled sampling along a Catmull-Rom spline tube.
+ * The tube radius is sweptRadius scaled by the spine's interpolated `r` channel.
  */
-function generateSweptCurve(count, crossSectionR, seed, densityParams) {
+function generateSweptCurve(count, crossSectionR, spine, closed, seed, densityParams) {
   const rng = mulberry32(seed);
   const points = [];
   const maxAttempts = count * 20;
   let attempts = 0;
 
-  // Default spine: an S-curve through 3D space
-  const spine = [
-    { x: -60, y: 0, z: -80 },
-    { x: -30, y: 30, z: -30 },
-    { x: 0, y: -20, z: 0 },
-    { x: 30, y: 25, z: 30 },
-    { x: 60, y: -10, z: 80 },
-  ];
-
   while (points.length < count && attempts < maxAttempts) {
     attempts++;
 
     const t = rng();
-    const pos = catmullRomPoint(spine, t);
-    const tangent = catmullRomTangent(spine, t);
+    const pos = catmullRomPoint(spine, t, closed);
+    const tangent = catmullRomTangent(spine, t, closed);
 
     const forward = normalizeVec(tangent);
     let up = { x: 0, y: 1, z: 0 };
@@ -321,7 +702,7 @@ function generateSweptCurve(count, crossSectionR, seed, densityParams) {
 
     const angle = rng() * Math.PI * 2;
     const rNorm = Math.sqrt(rng());
-    const r = crossSectionR * rNorm;
+    const r = crossSectionR * Math.max(0, pos.r) * rNorm;
 
     const p = {
       x: pos.x + r * (Math.cos(angle) * right.x + Math.sin(angle) * realUp.x),
@@ -337,42 +718,320 @@ function generateSweptCurve(count, crossSectionR, seed, densityParams) {
   return points;
 }
 
-// --- Catmull-Rom spline helpers ---
+/**
+ * Helix — tube of radius tubeR around a coil of radius coilR, centred on the origin
+ * and climbing `pitch` per turn along Z. The centreline has constant speed, so
+ * uniform t is uniform along its length.
+ */
+function generateHelix(count, coilR, tubeR, pitch, turns, fillMode, seed, densityParams) {
+  const rng = mulberry32(seed);
+  const points = [];
+  const maxAttempts = count * 20;
+  let attempts = 0;
+  const sweep = Math.PI * 2 * Math.max(0.1, turns);
+  const rise = pitch / (Math.PI * 2);           // Z per radian
+  const height = rise * sweep;
+  const tLen = Math.sqrt(coilR * coilR + rise * rise) || 1;
+
+  while (points.length < count && attempts < maxAttempts) {
+    attempts++;
+
+    const theta = rng() * sweep;
+    const c = Math.cos(theta), s = Math.sin(theta);
+    const center = { x: coilR * c, y: coilR * s, z: rise * theta - height / 2 };
+
+    // Frenet frame: normal points at the axis, binormal = tangent × normal
+    const tangent = { x: -coilR * s / tLen, y: coilR * c / tLen, z: rise / tLen };
+    const normal = { x: -c, y: -s, z: 0 };
+    const binormal = crossVec(tangent, normal);
+
+    const angle = rng() * Math.PI * 2;
+    const rNorm = fillMode === 'volume' ? Math.sqrt(rng()) : 1;
+    const r = tubeR * rNorm;
+    const ca = Math.cos(angle) * r, sa = Math.sin(angle) * r;
+
+    const p = {
+      x: center.x + ca * normal.x + sa * binormal.x,
+      y: center.y + ca * normal.y + sa * binormal.y,
+      z: center.z + ca * normal.z + sa * binormal.z,
+    };
+
+    const distFromCenter = fillMode === 'volume' ? rNorm : 0;
+    if (densityAcceptance(p, distFromCenter, fillMode, densityParams || {}, rng)) {
+      points.push(p);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Möbius band — a ribbon of half-width `width` around a circle of radius `radius`
+ * in the XY plane, making `twists` half-turns per loop (odd counts are one-sided).
+ * Surface fill rejects by the parametrisation's area element so the ribbon is
+ * evenly covered; volume fill thickens it along the ribbon normal.
+ */
+function generateMobius(count, radius, width, thickness, twists, fillMode, seed, densityParams) {
+  const rng = mulberry32(seed);
+  const points = [];
+  const maxAttempts = count * 20;
+  let attempts = 0;
+  const twistRate = twists / 2;
+  const maxArea = Math.sqrt((radius + width) ** 2 + (width * twistRate) ** 2) || 1;
 
-function catmullRomPoint(spine, t) {
-  const n = spine.length - 1;
-  const f = t * n;
-  const i = Math.min(Math.floor(f), n - 1);
-  const local = f - i;
+  while (points.length < count && attempts < maxAttempts) {
+    attempts++;
 
-  const p0 = spine[Math.max(0, i - 1)];
-  const p1 = spine[i];
-  const p2 = spine[Math.min(n, i + 1)];
-  const p3 = spine[Math.min(n, i + 2)];
+    const u = rng() * Math.PI * 2;
+    const v = (rng() * 2 - 1) * width;
+    const phi = twistRate * u;
+    const cp = Math.cos(phi), sp = Math.sin(phi);
 
-  return {
-    x: crInterp(p0.x, p1.x, p2.x, p3.x, local),
-    y: crInterp(p0.y, p1.y, p2.y, p3.y, local),
-    z: crInterp(p0.z, p1.z, p2.z, p3.z, local),
+    // |dP/du × dP/dv| relative to its maximum
+    const area = Math.sqrt((radius + v * cp) ** 2 + (v * twistRate) ** 2);
+    if (rng() * maxArea > area) continue;
+
+    // Across-ribbon direction and ribbon normal, in the (radial, Z) plane
+    const cu = Math.cos(u), su = Math.sin(u);
+    const offset = fillMode === 'volume' ? (rng() - 0.5) * thickness : 0;
+    const radial = radius + v * cp - offset * sp;
+
+    const p = {
+      x: radial * cu,
+      y: radial * su,
+      z: v * sp + offset * cp,
+    };
+
+    const distFromCenter = fillMode === 'volume' ? Math.abs(v) / (width || 1) : 0;
+    if (densityAcceptance(p, distFromCenter, fillMode, densityParams || {}, rng)) {
+      points.push(p);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Strange attractor — integrate the chosen system from a seeded start, then keep one
+ * point every `stride` steps (jittered within the stride) until `count` are accepted.
+ * A transient and a bounds pass run first so the trajectory's bounding box can be
+ * mapped onto ±radiusX/Y/Z. Points carry the integration direction as `heading`.
+ */
+function generateAttractor(count, type, stride, rx, ry, rz, seed, densityParams) {
+  const rng = mulberry32(seed);
+  const points = [];
+  const maxAttempts = count * 20;
+  let attempts = 0;
+  const step = Math.max(1, Math.round(stride || 1));
+
+  const attractor = createAttractor(type, {
+    x: (rng() - 0.5) * 0.1, y: (rng() - 0.5) * 0.1, z: (rng() - 0.5) * 0.1,
+  });
+  attractor.advance(2000); // Settle onto the attractor
+
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (let i = 0; i < 20000; i++) {
+    const { x, y, z } = attractor.advance(1).position;
+    min.x = Math.min(min.x, x); max.x = Math.max(max.x, x);
+    min.y = Math.min(min.y, y); max.y = Math.max(max.y, y);
+    min.z = Math.min(min.z, z); max.z = Math.max(max.z, z);
+  }
+  const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+  const scale = {
+    x: rx / ((max.x - min.x) / 2 || 1),
+    y: ry / ((max.y - min.y) / 2 || 1),
+    z: rz / ((max.z - min.z) / 2 || 1),
   };
+
+  let skip = 0;
+  while (points.length < count && attempts < maxAttempts) {
+    attempts++;
+
+    // Land on a random step within each stride so orbits don't alias into dotted lines
+    const jitter = Math.floor(rng() * step);
+    attractor.advance(skip + jitter + 1);
+    skip = step - jitter - 1;
+
+    const { position: a, velocity: v } = attractor;
+    const p = {
+      x: (a.x - center.x) * scale.x,
+      y: (a.y - center.y) * scale.y,
+      z: (a.z - center.z) * scale.z,
+      heading: normalizeVec({ x: v.x * scale.x, y: v.y * scale.y, z: v.z * scale.z }),
+    };
+
+    const distFromCenter = Math.min(1, Math.sqrt((p.x / rx) ** 2 + (p.y / ry) ** 2 + (p.z / rz) ** 2));
+    if (densityAcceptance(p, distFromCenter, 'volume', densityParams || {}, rng)) {
+      points.push(p);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Mesh — area-weighted surface sampling, or rejection sampling inside closed meshes.
+ * The mesh is uniformly scaled so its largest half-extent equals `radius`.
+ * Open meshes always fall back to surface fill.
+ */
+function generateMesh(count, mesh, radius, fillMode, seed, densityParams) {
+  const rng = mulberry32(seed);
+  const points = [];
+  const maxAttempts = count * 20;
+  let attempts = 0;
+  const volume = fillMode === 'volume' && mesh.closed;
+  const { extents } = mesh;
+
+  while (points.length < count && attempts < maxAttempts) {
+    attempts++;
+
+    let m;
+    if (volume) {
+      m = {
+        x: (rng() * 2 - 1) * extents.x,
+        y: (rng() * 2 - 1) * extents.y,
+        z: (rng() * 2 - 1) * extents.z,
+      };
+      if (!isInsideMesh(mesh, m)) continue;
+    } else {
+      m = sampleMeshSurface(mesh, rng);
+    }
+
+    const p = { x: m.x * radius, y: m.y * radius, z: m.z * radius };
+
+    // Normalised distance from the mesh centre, for volume falloff
+    const distFromCenter = volume
+      ? Math.sqrt(m.x * m.x + m.y * m.y + m.z * m.z) / mesh.maxDist
+      : 0;
+
+    if (densityAcceptance(p, distFromCenter, volume ? 'volume' : 'surface', densityParams || {}, rng)) {
+      points.push(p);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Distance field — rejection sampling inside the bounds against a signed distance function.
+ * Volume fill keeps points with d <= 0; surface fill keeps points in a band around
+ * the zero set and projects them onto it along the field gradient.
+ */
+function generateDistanceField(count, distance, bounds, fillMode, seed, densityParams) {
+  const rng = mulberry32(seed);
+  const points = [];
+  const maxAttempts = count * 20;
+  let attempts = 0;
+  // Only draws that land in the shape count as attempts; cap the box draws separately
+  const maxDraws = count * 400;
+  let draws = 0;
+
+  const w = bounds.maxX - bounds.minX;
+  const h = bounds.maxY - bounds.minY;
+  const dpt = bounds.maxZ - bounds.minZ;
+  if (!(w > 0 && h > 0 && dpt > 0)) return points;
+
+  const randomInBounds = () => ({
+    x: bounds.minX + rng() * w,
+    y: bounds.minY + rng() * h,
+    z: bounds.minZ + rng() * dpt,
+  });
+
+  // Deepest interior distance, for normalising volume falloff
+  let maxDepth = 0;
+  for (let i = 0; i < 2000; i++) {
+    const p = randomInBounds();
+    maxDepth = Math.max(maxDepth, -distance(p.x, p.y, p.z));
+  }
+  maxDepth = maxDepth || 1;
+
+  const band = Math.max(w, h, dpt) * 0.05;
+
+  while (points.length < count && attempts < maxAttempts && draws < maxDraws) {
+    draws++;
+
+    let p = randomInBounds();
+    const d = distance(p.x, p.y, p.z);
+    let distFromCenter = 0;
+
+    if (fillMode === 'volume') {
+      if (d > 0) continue;
+      distFromCenter = 1 - Math.min(1, -d / maxDepth);
+    } else {
+      if (Math.abs(d) > band) continue;
+      p = projectToSurface(p, d, distance);
+    }
+    attempts++;
+
+    if (densityAcceptance(p, distFromCenter, fillMode, densityParams || {}, rng)) {
+      points.push(p);
+    }
+  }
+
+  return points;
 }
 
-function catmullRomTangent(spine, t) {
-  const eps = 0.001;
-  const a = catmullRomPoint(spine, Math.max(0, t - eps));
-  const b = catmullRomPoint(spine, Math.min(1, t + eps));
-  return { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+/**
+ * Newton steps along the numerical gradient towards the zero set.
+ * Dividing by |g|² rather than normalising also handles approximate
+ * fields (e.g. superquadrics) whose gradient isn't unit length.
+ */
+function projectToSurface(p, d, distance) {
+  const eps = 0.01;
+  let q = p;
+  for (let step = 0; step < 3; step++) {
+    if (step > 0) d = distance(q.x, q.y, q.z);
+    const gx = (distance(q.x + eps, q.y, q.z) - distance(q.x - eps, q.y, q.z)) / (2 * eps);
+    const gy = (distance(q.x, q.y + eps, q.z) - distance(q.x, q.y - eps, q.z)) / (2 * eps);
+    const gz = (distance(q.x, q.y, q.z + eps) - distance(q.x, q.y, q.z - eps)) / (2 * eps);
+    const gSq = gx * gx + gy * gy + gz * gz;
+    if (gSq < 1e-12) break;
+    const k = d / gSq;
+    q = { x: q.x - gx * k, y: q.y - gy * k, z: q.z - gz * k };
+  }
+  return q;
 }
 
-function crInterp(p0, p1, p2, p3, t) {
-  const t2 = t * t;
-  const t3 = t2 * t;
-  return 0.5 * (
-    (2 * p1) +
-    (-p0 + p2) * t +
-    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
-    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
-  );
+// --- Minimum spacing ---
+
+/**
+ * Spatial hash of accepted points for Poisson-disk dart throwing.
+ * `offset` is added to candidates, so sub-flocks generated around the origin
+ * are tested at their final position.
+ */
+function createSpacingGrid(minSpacing) {
+  const cells = new Map();
+  const minSq = minSpacing * minSpacing;
+  const cellOf = v => Math.floor(v / minSpacing);
+  const keyOf = (ix, iy, iz) => `${ix},${iy},${iz}`;
+
+  return {
+    offset: { x: 0, y: 0, z: 0 },
+
+    tryInsert(p) {
+      const x = p.x + this.offset.x, y = p.y + this.offset.y, z = p.z + this.offset.z;
+      const ix = cellOf(x), iy = cellOf(y), iz = cellOf(z);
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const bucket = cells.get(keyOf(ix + dx, iy + dy, iz + dz));
+            if (!bucket) continue;
+            for (const q of bucket) {
+              const ex = q.x - x, ey = q.y - y, ez = q.z - z;
+              if (ex * ex + ey * ey + ez * ez < minSq) return false;
+            }
+          }
+        }
+      }
+
+      const key = keyOf(ix, iy, iz);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push({ x, y, z });
+      return true;
+    },
+  };
 }
 
 // --- Inline vec helpers (avoid circular dep with vec3.js) ---
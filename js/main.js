@@ -1,14 +1,18 @@
 // main.js — Application entry point.
-// Pipeline: generate 3D cloud → deform → project to 2D → render.
+// Pipeline: generate 3D cloud → deform → project to 2D (in pipeline-worker.js) → render.
 
-import { generateCloud } from './generate.js';
-import { applyDeformers } from './deformers.js';
-import { projectScene } from './projection.js';
-import { render } from './renderer.js';
+import { subFlockListFromRandom, DEFAULT_SPINE } from './generate.js';
+import { defaultDeformer, linkGizmos } from './deformers.js';
+import { projectPoint, unprojectVector, createProjectedBirds } from './projection.js';
+import { render, renderGizmos } from './renderer.js';
 import { generateSVG, downloadSVG } from './svg-export.js';
-import { createUI } from './ui.js';
+import { createUI, rebuildUILists } from './ui.js';
 import { openFreehandEditor } from './freehand.js';
 import { applyPreset, exportParams, importParams } from './presets.js';
+import { parseMesh } from './mesh.js';
+import { parsePointCloud } from './point-cloud.js';
+import { defaultPrimitive } from './sdf.js';
+import { buildDensityMap } from './density-map.js';
 
 // --- Canvas setup ---
 const canvas = document.getElementById('canvas');
@@ -33,45 +37,86 @@ const params = {
   torusMajor: 60,
   torusMinor: 20,
   sweptRadius: 15,
+  sweptSpine: DEFAULT_SPINE.map(p => ({ ...p })),
+  sweptClosed: false,
+  funnelBottom: 50,
+  funnelTop: 10,
+  helixRadius: 50,
+  helixTube: 14,
+  helixPitch: 60,
+  helixTurns: 3,
+  superE1: 1,
+  superE2: 1,
+  mobiusRadius: 70,
+  mobiusWidth: 25,
+  mobiusThickness: 6,
+  mobiusTwists: 1,
+  sdfPrimitives: [
+    { ...defaultPrimitive('ellipsoid'), sizeX: 45, sizeY: 35, sizeZ: 90 },
+    { ...defaultPrimitive('torus'), op: 'blend', blend: 20, z: 70 },
+    { ...defaultPrimitive('capsule'), op: 'subtract', sizeX: 18, sizeZ: 30, z: -40 },
+  ],
+  outlineSource: 'text',
+  outlineText: 'FLOCK',
+  outlineFont: 'Georgia',
+  outlineSVG: '',
+  outlineMode: 'extrude',
+  outlineDepth: 40,
+  outlineBevel: 6,
+  outlineLatheRadius: 60,
   fillMode: 'surface',
+  boidsBase: 'ellipsoid',
+  boidsSteps: 60,
+  boidsRadius: 12,
+  boidsSeparation: 1.5,
+  boidsAlignment: 1.0,
+  boidsCohesion: 0.6,
+  boidsRoost: 0.2,
+  boidsSpeed: 2,
+  attractorType: 'lorenz',
+  attractorStride: 6,
+  samplingMode: 'random',
+  minSpacing: 4,
   seed: 42,
   densityFalloff: 2.0,
   densityNoise: 0.3,
   densityNoiseFreq: 0.02,
+  densityNoiseBasis: 'simplex',
+  densitySeed: 1,
+  densityMapEnabled: false,
+  densityMapAxis: 'z',
+  densityMapStrength: 1.0,
+  densityMapInvert: false,
+  densityMapSize: 120,
+  densityMapRotX: 0,
+  densityMapRotY: 0,
+  densityMapRotZ: 0,
   subFlocks: 1,
   subFlockSpread: 0.6,
   subFlockSizeVar: 0.3,
   subFlockBridge: 0.15,
-
-  // Noise
-  noiseFreq: 0.02,
-  noiseAmp: 20,
-  noiseOctaves: 4,
-  noisePersistence: 0.5,
-  noiseLacunarity: 2.0,
-  noiseOffsetX: 0,
-  noiseOffsetY: 0,
-  noiseOffsetZ: 0,
-  smoothEnabled: false,
-  smoothFreq: 0.005,
-  smoothAmp: 30,
-
-  // Deformers
-  twistEnabled: false,
-  twistAmount: 0.5,
-  twistAxis: 'z',
-  taperEnabled: false,
-  taperStart: 1.0,
-  taperEnd: 0.3,
-  taperAxis: 'z',
-  bendEnabled: false,
-  bendAngle: 0.5,
-  bendAxis: 'x',
-  waveEnabled: false,
-  waveFreq: 0.05,
-  waveAmp: 10,
-  waveAxis: 'z',
-  wavePhase: 0,
+  bridgeTopology: 'loop',
+  bridgeK: 2,
+  bridgeWidth: 0.1,
+  bridgeCurve: 0,
+  bridgeTaper: 1,
+  bridgeFade: 0,
+  subFlockCustom: false,
+  subFlockList: [
+    {
+      x: -70, y: 0, z: -40, shapeType: 'torus', fillMode: 'volume',
+      radiusX: 55, radiusY: 55, radiusZ: 14, share: 0.6, seed: 1000,
+    },
+    {
+      x: 80, y: 20, z: 50, shapeType: 'ellipsoid', fillMode: 'volume',
+      radiusX: 60, radiusY: 45, radiusZ: 80, share: 0.4, seed: 2000,
+    },
+  ],
+
+  // Deformers (run in list order)
+  deformers: [defaultDeformer('noise')],
+  deformSeed: 2,
+  showGizmos: false,
 
   // Camera
   camRotX: 0.3,
@@ -86,16 +131,25 @@ const params = {
   birdScale: 1.0,
   depthScale: 0.5,
   orientToFlow: true,
+  orientSource: 'flow',
   orientJitter: 0.2,
   curlFlowFreq: 0.015,
   curlFlowOctaves: 2,
+  curlFlowBasis: 'simplex',
+  flowSeed: 3,
   poseVariation: true,
   poseNoiseFreq: 0.01,
+  poseNoiseBasis: 'simplex',
+  poseSeed: 4,
   depthOpacity: 0.3,
   depthOpacityCurve: 1.0,
   darkBandEnabled: true,
   darkBandStrength: 0.5,
   darkBandGridSize: 20,
+  relaxEnabled: false,
+  relaxClearance: 0.8,
+  relaxIterations: 8,
+  relaxMaxShift: 12,
 
   // Export
   exportStrokeOnly: true,
@@ -112,42 +166,108 @@ const params = {
   _selectedPreset: 'Classic Murmuration',
 };
 
-// --- Dirty flags for incremental regeneration ---
+// --- Dirty flags: the stages the next pipeline job must rerun ---
 const dirty = {
   shape: true,     // Regenerate base cloud
   deform: true,    // Re-deform (reuse base cloud)
-  camera: true,    // Re-project (reuse deformed cloud)
+  orient: true,    // Recompute flow and poses (reuse deformed cloud)
+  camera: true,    // Re-project (reuse oriented cloud)
 };
 
-// --- Cached pipeline stages ---
-let baseCloud = [];
-let deformedCloud = [];
-let projectedBirds = [];
+// --- Pipeline worker (see pipeline-worker.js) ---
+// The canvas keeps showing the last completed frame until the worker sends a newer one.
+const pipeline = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+let jobId = 0;              // Id of the latest job posted to the worker
+let projectedBirds = createProjectedBirds(0);
+let gizmos = [];            // On-canvas handles from the worker, linked to params.deformers
+
+// Deformer whose handles are being edited on the canvas (null = orbit mode)
+let editingDeformer = null;
+let hoveredHandle = -1;
+let isDragging = false;
+let draggedHandle = -1;     // Handle under the pointer while dragging (-1 = orbiting)
+let relaxPending = false;   // An orbit frame went out unrelaxed; rerun the camera on release
 
 // --- Pipeline ---
+/**
+ * Post a job for the dirty stages to the worker. A newer job supersedes an older one
+ * between stages, keeping whatever stages the older one finished.
+ */
 function regenerate() {
-  if (dirty.shape) {
-    baseCloud = generateCloud(params);
-    dirty.deform = true;
-  }
+  const level = ['shape', 'deform', 'orient', 'camera'].find(stage => dirty[stage]);
+  if (!level) return;
+  // Relaxation is too slow for dense flocks to keep up with an orbit; it reruns on release
+  const skipRelax = params.relaxEnabled && isOrbiting();
+  const jobParams = skipRelax ? { ...params, relaxEnabled: false } : params;
+  relaxPending = relaxPending || skipRelax;
+  pipeline.postMessage({ type: 'run', id: ++jobId, level, params: jobParams });
 
-  if (dirty.deform) {
-    deformedCloud = applyDeformers(baseCloud, params);
-    dirty.camera = true;
+  dirty.shape = false;
+  dirty.deform = false;
+  dirty.orient = false;
+  dirty.camera = false;
+}
+
+pipeline.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'progress') {
+    if (msg.id === jobId) updateProgress(msg);
+  } else if (msg.type === 'result') {
+    // A newer job may already be queued behind this one; its frame is still the latest finished
+    projectedBirds = msg.birds;
+    gizmos = linkGizmos(msg.gizmos, params.deformers);
+    if (msg.error) showPipelineError(msg.error);
+    else if (msg.id === jobId) hideProgress();
+    draw();
+  } else if (msg.type === 'error') {
+    console.warn(`Pipeline ${msg.stage} stage failed:`, msg.message);
+    showPipelineError(msg);
   }
+};
 
-  if (dirty.camera) {
-    projectedBirds = projectScene(deformedCloud, params);
+// --- Progress indicator (only for jobs slow enough to notice) ---
+const progressEl = document.getElementById('progress');
+const PROGRESS_DELAY = 200; // ms
+const STAGE_LABELS = { shape: 'Generating', deform: 'Deforming', orient: 'Orienting', camera: 'Projecting' };
+let progressTimer = null;
+
+function updateProgress({ stage, step, steps }) {
+  if (progressEl.classList.contains('error')) return;  // Keep the error up until a result replaces it
+  progressEl.querySelector('.progress-label').textContent = `${STAGE_LABELS[stage]}…`;
+  progressEl.querySelector('.progress-bar').style.width = `${Math.round(step / steps * 100)}%`;
+  if (progressTimer === null && progressEl.classList.contains('hidden')) {
+    progressTimer = setTimeout(() => {
+      progressTimer = null;
+      progressEl.classList.remove('hidden');
+    }, PROGRESS_DELAY);
   }
+}
 
-  dirty.shape = false;
-  dirty.deform = false;
-  dirty.camera = false;
+function hideProgress() {
+  clearTimeout(progressTimer);
+  progressTimer = null;
+  progressEl.classList.add('hidden');
+  progressEl.classList.remove('error');
+}
+
+// Shown until a job that reruns the failed stage succeeds
+function showPipelineError({ stage, message }) {
+  clearTimeout(progressTimer);
+  progressTimer = null;
+  progressEl.querySelector('.progress-label').textContent = `${STAGE_LABELS[stage]} failed: ${message}`;
+  progressEl.classList.add('error');
+  progressEl.classList.remove('hidden');
+}
+
+function draw() {
+  render(ctx, projectedBirds, params);
+  if (editingDeformer || params.showGizmos) renderGizmos(ctx, gizmos, params, editingDeformer, hoveredHandle);
 }
 
 function markDirty(level) {
   if (level === 'shape') dirty.shape = true;
   if (level === 'shape' || level === 'deform') dirty.deform = true;
+  if (level !== 'camera') dirty.orient = true;
   dirty.camera = true;
 }
 
@@ -158,29 +278,82 @@ regenerate();
 window.addEventListener('resize', () => {
   resizeCanvas();
   regenerate();
-  render(ctx, projectedBirds, params);
+  draw();
 });
 
-// --- Mouse orbit interaction ---
-let isDragging = false;
+// --- Mouse orbit interaction (or handle dragging in a deformer edit mode) ---
 let lastMouseX = 0;
 let lastMouseY = 0;
 let paneInstance = null;
 
+const HANDLE_PICK_RADIUS = 10; // px
+
+/**
+ * Index of the edited gizmo's handle nearest (x, y) on screen, or -1 if none is within reach.
+ */
+function pickHandle(x, y) {
+  const gizmo = gizmos.find(g => g.deformer === editingDeformer);
+  if (!gizmo) return -1;
+  let best = -1;
+  let bestDist = HANDLE_PICK_RADIUS;
+  gizmo.points.forEach((p, i) => {
+    const s = projectPoint(p, params);
+    if (!s) return;
+    const d = Math.hypot(s.sx - x, s.sy - y);
+    if (d < bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+/**
+ * Move a handle of the edited gizmo (a lattice offset, a force centre) by a
+ * screen-space drag, parallel to the view.
+ */
+function dragHandle(index, dx, dy) {
+  const gizmo = gizmos.find(g => g.deformer === editingDeformer);
+  const target = gizmo && gizmo.targets[index];
+  if (!target) return;
+  const s = projectPoint(gizmo.points[index], params);
+  const move = unprojectVector(dx, dy, params, s ? s.perspScale : 1);
+  target.x += move.x;
+  target.y += move.y;
+  target.z += move.z;
+  markDirty('deform');
+}
+
+function isOrbiting() {
+  return isDragging && draggedHandle < 0;
+}
+
 canvas.addEventListener('pointerdown', (e) => {
   isDragging = true;
   lastMouseX = e.clientX;
   lastMouseY = e.clientY;
+  draggedHandle = editingDeformer ? pickHandle(e.offsetX, e.offsetY) : -1;
   canvas.setPointerCapture(e.pointerId);
 });
 
 canvas.addEventListener('pointermove', (e) => {
+  if (editingDeformer && !isDragging) {
+    const handle = pickHandle(e.offsetX, e.offsetY);
+    if (handle !== hoveredHandle) {
+      hoveredHandle = handle;
+      canvas.style.cursor = handle >= 0 ? 'grab' : '';
+      draw();
+    }
+  }
   if (!isDragging) return;
   const dx = e.clientX - lastMouseX;
   const dy = e.clientY - lastMouseY;
   lastMouseX = e.clientX;
   lastMouseY = e.clientY;
 
+  if (draggedHandle >= 0) {
+    dragHandle(draggedHandle, dx, dy);
+    if (paneInstance) paneInstance.refresh();
+    return;
+  }
+
   params.camRotY += dx * 0.005;
   params.camRotX += dy * 0.005;
 
@@ -192,6 +365,15 @@ canvas.addEventListener('pointermove', (e) => {
 
 canvas.addEventListener('pointerup', () => {
   isDragging = false;
+  if (relaxPending) {
+    relaxPending = false;
+    dirty.camera = true;
+  }
+  draggedHandle = -1;
+});
+
+window.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && editingDeformer) callbacks.editDeformer(null);
 });
 
 // --- Scroll zoom ---
@@ -208,7 +390,22 @@ const callbacks = {
   onParamChange(level) {
     markDirty(level);
     regenerate();
-    render(ctx, projectedBirds, params);
+  },
+
+  /**
+   * Enter canvas edit mode for a deformer's handles, or leave it when passed
+   * null or the deformer already being edited.
+   */
+  editDeformer(deformer) {
+    editingDeformer = deformer && deformer !== editingDeformer ? deformer : null;
+    hoveredHandle = -1;
+    canvas.style.cursor = '';
+    draw();
+  },
+
+  // Leave edit mode if the removed deformer was being edited
+  onDeformerRemoved(deformer) {
+    if (deformer === editingDeformer) callbacks.editDeformer(null);
   },
 
   exportSVG() {
@@ -227,7 +424,6 @@ const callbacks = {
         params.shapeKey = 'custom';
         dirty.camera = true;
         regenerate();
-        render(ctx, projectedBirds, params);
         if (paneInstance) paneInstance.refresh();
       },
       () => {
@@ -237,18 +433,136 @@ const callbacks = {
   },
 
   randomiseSeed() {
-    params.seed = Math.floor(Math.random() * 100000);
+    // Re-roll sampling and every noise stage
+    for (const key of ['seed', 'densitySeed', 'deformSeed', 'flowSeed', 'poseSeed']) {
+      params[key] = Math.floor(Math.random() * 100000);
+    }
     markDirty('shape');
     regenerate();
-    render(ctx, projectedBirds, params);
     if (paneInstance) paneInstance.refresh();
   },
 
   loadPreset(name) {
     applyPreset(name, params);
+    callbacks.editDeformer(null);  // The preset may replace the deformer being edited
+    markDirty('shape');
+    regenerate();
+    rebuildUILists();
+    if (paneInstance) paneInstance.refresh();
+  },
+
+  importMesh() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.obj,.ply';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          pipeline.postMessage({ type: 'mesh', mesh: parseMesh(file.name, reader.result) });
+        } catch (err) {
+          console.warn(`Failed to load mesh ${file.name}:`, err);
+          return;
+        }
+        params.shapeType = 'mesh';
+        markDirty('shape');
+        regenerate();
+        if (paneInstance) paneInstance.refresh();
+      };
+      reader.readAsArrayBuffer(file);
+    };
+    input.click();
+  },
+
+  importPointCloud() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.xyz,.txt,.ply';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        let points;
+        try {
+          points = parsePointCloud(file.name, reader.result);
+        } catch (err) {
+          console.warn(`Failed to load point cloud ${file.name}:`, err);
+          return;
+        }
+        pipeline.postMessage({ type: 'pointCloud', points });
+        params.shapeType = 'points';
+        // Orient by the file's velocities / normals when it has them
+        if (points.some(p => p.heading)) params.orientSource = 'heading';
+        markDirty('shape');
+        regenerate();
+        if (paneInstance) paneInstance.refresh();
+      };
+      reader.readAsArrayBuffer(file);
+    };
+    input.click();
+  },
+
+  loadOutlineSVG() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.svg';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        setOutlineSVG(reader.result);
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  },
+
+  pasteOutlineSVG() {
+    const text = window.prompt('Paste SVG path data or SVG markup:', params.outlineSVG);
+    if (text !== null) setOutlineSVG(text);
+  },
+
+  importDensityMap() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        pipeline.postMessage({ type: 'densityMap', map: buildDensityMap(await createImageBitmap(file)) });
+      } catch (err) {
+        console.warn(`Failed to load density map ${file.name}:`, err);
+        return;
+      }
+      params.densityMapEnabled = true;
+      markDirty('shape');
+      regenerate();
+      if (paneInstance) paneInstance.refresh();
+    };
+    input.click();
+  },
+
+  captureDensityMapCamera() {
+    params.densityMapRotX = params.camRotX;
+    params.densityMapRotY = params.camRotY;
+    params.densityMapRotZ = params.camRotZ;
+    params.densityMapAxis = 'camera';
+    markDirty('shape');
+    regenerate();
+    if (paneInstance) paneInstance.refresh();
+  },
+
+  copyRandomSubFlocks() {
+    params.subFlockList = subFlockListFromRandom(params);
+    params.subFlockCustom = true;
     markDirty('shape');
     regenerate();
-    render(ctx, projectedBirds, params);
+    rebuildUILists();
     if (paneInstance) paneInstance.refresh();
   },
 
@@ -275,9 +589,10 @@ const callbacks = {
       const reader = new FileReader();
       reader.onload = () => {
         if (importParams(reader.result, params)) {
+          callbacks.editDeformer(null);  // The import replaces the deformer stack
           markDirty('shape');
           regenerate();
-          render(ctx, projectedBirds, params);
+          rebuildUILists();
           if (paneInstance) paneInstance.refresh();
         }
       };
@@ -287,6 +602,15 @@ const callbacks = {
   },
 };
 
+function setOutlineSVG(svg) {
+  params.outlineSVG = svg;
+  params.outlineSource = 'svg';
+  params.shapeType = 'outline';
+  markDirty('shape');
+  regenerate();
+  if (paneInstance) paneInstance.refresh();
+}
+
 // --- Load Tweakpane from CDN and create UI ---
 const TWEAKPANE_URLS = [
   'https://cdn.jsdelivr.net/npm/tweakpane@4.0.5/dist/tweakpane.min.js',
@@ -319,14 +643,9 @@ function loop() {
     if (paneInstance) paneInstance.refresh();
   }
 
-  if (dirty.shape || dirty.deform || dirty.camera) {
+  if (dirty.shape || dirty.deform || dirty.orient || dirty.camera) {
     regenerate();
-    render(ctx, projectedBirds, params);
   }
 }
 
-// Initial render
-regenerate();
-render(ctx, projectedBirds, params);
-
 requestAnimationFrame(loop);
@@ -0,0 +1,377 @@
+// mesh.js — OBJ / PLY mesh loading and triangle-soup helpers for the mesh base shape.
+// A loaded mesh is normalised to a unit box centred at the origin; generate.js scales it.
+
+let currentMesh = null;
+
+/**
+ * Parse a mesh file by extension. Accepts the raw file contents as an ArrayBuffer.
+ * Returns { positions: [{x, y, z}], indices: Uint32Array } or throws on malformed input.
+ */
+export function parseMesh(filename, buffer) {
+  const ext = filename.toLowerCase().split('.').pop();
+  let mesh;
+  if (ext === 'obj') {
+    mesh = parseOBJ(new TextDecoder().decode(buffer));
+  } else if (ext === 'ply') {
+    const { vertices, faces } = parsePLY(buffer);
+    mesh = { positions: vertices, indices: triangulate(faces, vertices.length) };
+  } else {
+    throw new Error(`Unsupported mesh format: .${ext}`);
+  }
+  // A bare vertex list has nothing to sample
+  if (mesh.indices.length === 0) throw new Error(`Mesh ${filename} contains no faces`);
+  return mesh;
+}
+
+/**
+ * Register the mesh used by the 'mesh' shape type. Pass null to clear.
+ */
+export function setMesh(mesh) {
+  currentMesh = mesh ? prepareMesh(mesh) : null;
+}
+
+/**
+ * The prepared mesh, or null if none is loaded.
+ */
+export function getMesh() {
+  return currentMesh;
+}
+
+// --- OBJ ---
+
+/**
+ * Parse Wavefront OBJ text. Only vertex positions and faces are read; polygons are fan-triangulated.
+ */
+export function parseOBJ(text) {
+  const positions = [];
+  const faces = [];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('v ')) {
+      const [, x, y, z] = line.split(/\s+/);
+      positions.push({ x: parseFloat(x), y: parseFloat(y), z: parseFloat(z) });
+    } else if (line.startsWith('f ')) {
+      const face = line.split(/\s+/).slice(1).map(token => {
+        const idx = parseInt(token.split('/')[0], 10);
+        // Negative indices count back from the most recent vertex
+        return idx < 0 ? positions.length + idx : idx - 1;
+      });
+      faces.push(face);
+    }
+  }
+
+  if (positions.length === 0) throw new Error('OBJ contains no vertices');
+  return { positions, indices: triangulate(faces, positions.length) };
+}
+
+// --- PLY ---
+
+const PLY_TYPES = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8],
+};
+
+/**
+ * Parse an ASCII or binary PLY file.
+ * Returns { vertices: [{x, y, z, ...otherScalarProps}], faces: [[i, j, k, ...]] }.
+ */
+export function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerEnd = findHeaderEnd(bytes);
+  const header = new TextDecoder().decode(bytes.subarray(0, headerEnd));
+  const lines = header.split('\n').map(l => l.trim()).filter(Boolean);
+
+  if (lines[0] !== 'ply') throw new Error('Not a PLY file');
+
+  let format = 'ascii';
+  const elements = [];
+  for (const line of lines) {
+    const parts = line.split(/\s+/);
+    if (parts[0] === 'format') {
+      format = parts[1];
+    } else if (parts[0] === 'element') {
+      elements.push({ name: parts[1], count: parseInt(parts[2], 10), props: [] });
+    } else if (parts[0] === 'property' && elements.length > 0) {
+      const el = elements[elements.length - 1];
+      if (parts[1] === 'list') {
+        el.props.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+      } else {
+        el.props.push({ name: parts[2], list: false, type: parts[1] });
+      }
+    }
+  }
+
+  const reader = format === 'ascii'
+    ? asciiReader(new TextDecoder().decode(bytes.subarray(headerEnd)))
+    : binaryReader(new DataView(buffer, headerEnd), format === 'binary_little_endian');
+
+  const vertices = [];
+  const faces = [];
+
+  for (const el of elements) {
+    for (let n = 0; n < el.count; n++) {
+      const record = {};
+      for (const prop of el.props) {
+        if (prop.list) {
+          const len = reader.read(prop.countType);
+          const values = [];
+          for (let k = 0; k < len; k++) values.push(reader.read(prop.type));
+          record[prop.name] = values;
+        } else {
+          record[prop.name] = reader.read(prop.type);
+        }
+      }
+      if (el.name === 'vertex') {
+        vertices.push(record);
+      } else if (el.name === 'face') {
+        faces.push(record.vertex_indices || record.vertex_index || []);
+      }
+    }
+  }
+
+  if (vertices.length === 0) throw new Error('PLY contains no vertices');
+  return { vertices, faces };
+}
+
+function findHeaderEnd(bytes) {
+  const marker = 'end_header';
+  const limit = Math.min(bytes.length, 65536);
+  for (let i = 0; i < limit - marker.length; i++) {
+    let match = true;
+    for (let k = 0; k < marker.length; k++) {
+      if (bytes[i + k] !== marker.charCodeAt(k)) { match = false; break; }
+    }
+    if (match) {
+      let end = i + marker.length;
+      if (bytes[end] === 13) end++; // \r
+      if (bytes[end] === 10) end++; // \n
+      return end;
+    }
+  }
+  throw new Error('PLY header has no end_header');
+}
+
+function asciiReader(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  let pos = 0;
+  return {
+    read() {
+      if (pos >= tokens.length) throw new Error('Unexpected end of PLY data');
+      return parseFloat(tokens[pos++]);
+    },
+  };
+}
+
+function binaryReader(view, littleEndian) {
+  let offset = 0;
+  return {
+    read(type) {
+      const spec = PLY_TYPES[type];
+      if (!spec) throw new Error(`Unknown PLY property type: ${type}`);
+      if (offset + spec[1] > view.byteLength) throw new Error('Unexpected end of PLY data');
+      const v = view[spec[0]](offset, littleEndian);
+      offset += spec[1];
+      return v;
+    },
+  };
+}
+
+// --- Mesh preparation ---
+
+/**
+ * Fan-triangulate polygon faces into a flat index buffer, dropping out-of-range indices.
+ */
+function triangulate(faces, vertexCount) {
+  const out = [];
+  for (const face of faces) {
+    for (let k = 1; k < face.length - 1; k++) {
+      const a = face[0], b = face[k], c = face[k + 1];
+      if (a < 0 || b < 0 || c < 0 || a >= vertexCount || b >= vertexCount || c >= vertexCount) continue;
+      out.push(a, b, c);
+    }
+  }
+  return Uint32Array.from(out);
+}
+
+/**
+ * Normalise to a unit box and precompute sampling data:
+ * cumulative triangle areas, closedness, and a YZ-bucketed triangle grid for inside tests.
+ */
+function prepareMesh(mesh) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const p of mesh.positions) {
+    if (p.x < minX) minX = p.x; if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y; if (p.y > maxY) maxY = p.y;
+    if (p.z < minZ) minZ = p.z; if (p.z > maxZ) maxZ = p.z;
+  }
+  const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2, cz = (minZ + maxZ) / 2;
+  const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 || 1;
+
+  const positions = mesh.positions.map(p => ({
+    x: (p.x - cx) / half,
+    y: (p.y - cy) / half,
+    z: (p.z - cz) / half,
+  }));
+  const indices = mesh.indices;
+  const triCount = indices.length / 3;
+  if (triCount === 0) throw new Error('Mesh contains no faces');
+
+  // Cumulative areas for area-weighted triangle picking
+  const cumulativeArea = new Float64Array(triCount);
+  let total = 0;
+  for (let t = 0; t < triCount; t++) {
+    total += triangleArea(positions[indices[t * 3]], positions[indices[t * 3 + 1]], positions[indices[t * 3 + 2]]);
+    cumulativeArea[t] = total;
+  }
+
+  // Closed (watertight) if every edge is shared by exactly two triangles
+  const edgeUses = new Map();
+  for (let t = 0; t < triCount; t++) {
+    for (let e = 0; e < 3; e++) {
+      const a = indices[t * 3 + e];
+      const b = indices[t * 3 + (e + 1) % 3];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      edgeUses.set(key, (edgeUses.get(key) || 0) + 1);
+    }
+  }
+  let closed = triCount > 0;
+  for (const uses of edgeUses.values()) {
+    if (uses !== 2) { closed = false; break; }
+  }
+
+  let maxDist = 0;
+  for (const p of positions) {
+    const d = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+    if (d > maxDist) maxDist = d;
+  }
+
+  return {
+    positions,
+    indices,
+    triCount,
+    cumulativeArea,
+    totalArea: total,
+    closed,
+    maxDist: maxDist || 1,
+    extents: {
+      x: (maxX - minX) / 2 / half,
+      y: (maxY - minY) / 2 / half,
+      z: (maxZ - minZ) / 2 / half,
+    },
+    grid: buildYZGrid(positions, indices, triCount),
+  };
+}
+
+function triangleArea(a, b, c) {
+  const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+  const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  return 0.5 * Math.sqrt(cx * cx + cy * cy + cz * cz);
+}
+
+const GRID_RES = 32;
+
+function buildYZGrid(positions, indices, triCount) {
+  const cells = Array.from({ length: GRID_RES * GRID_RES }, () => []);
+  const toCell = v => Math.max(0, Math.min(GRID_RES - 1, Math.floor((v + 1) * 0.5 * GRID_RES)));
+
+  for (let t = 0; t < triCount; t++) {
+    const a = positions[indices[t * 3]];
+    const b = positions[indices[t * 3 + 1]];
+    const c = positions[indices[t * 3 + 2]];
+    const y0 = toCell(Math.min(a.y, b.y, c.y)), y1 = toCell(Math.max(a.y, b.y, c.y));
+    const z0 = toCell(Math.min(a.z, b.z, c.z)), z1 = toCell(Math.max(a.z, b.z, c.z));
+    for (let gy = y0; gy <= y1; gy++) {
+      for (let gz = z0; gz <= z1; gz++) {
+        cells[gy * GRID_RES + gz].push(t);
+      }
+    }
+  }
+
+  return { cells, toCell };
+}
+
+// --- Queries (in normalised mesh space) ---
+
+/**
+ * Uniform random point on the mesh surface, area-weighted.
+ */
+export function sampleMeshSurface(mesh, rng) {
+  const target = rng() * mesh.totalArea;
+
+  // Binary search the cumulative area table
+  let lo = 0, hi = mesh.triCount - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (mesh.cumulativeArea[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+
+  const a = mesh.positions[mesh.indices[lo * 3]];
+  const b = mesh.positions[mesh.indices[lo * 3 + 1]];
+  const c = mesh.positions[mesh.indices[lo * 3 + 2]];
+
+  // Uniform barycentric coordinates
+  const r1 = Math.sqrt(rng());
+  const r2 = rng();
+  const wa = 1 - r1, wb = r1 * (1 - r2), wc = r1 * r2;
+
+  return {
+    x: a.x * wa + b.x * wb + c.x * wc,
+    y: a.y * wa + b.y * wb + c.y * wc,
+    z: a.z * wa + b.z * wb + c.z * wc,
+  };
+}
+
+/**
+ * Inside test by ray parity along +x. Only meaningful for closed meshes.
+ */
+export function isInsideMesh(mesh, p) {
+  const { cells, toCell } = mesh.grid;
+  const candidates = cells[toCell(p.y) * GRID_RES + toCell(p.z)];
+  let crossings = 0;
+
+  for (const t of candidates) {
+    const a = mesh.positions[mesh.indices[t * 3]];
+    const b = mesh.positions[mesh.indices[t * 3 + 1]];
+    const c = mesh.positions[mesh.indices[t * 3 + 2]];
+    if (rayHitsTriangleX(p, a, b, c)) crossings++;
+  }
+
+  return (crossings & 1) === 1;
+}
+
+// Möller–Trumbore specialised for direction (1, 0, 0)
+function rayHitsTriangleX(p, a, b, c) {
+  const e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z;
+  const e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z;
+
+  // h = dir × e2 = (0, -e2z, e2y)
+  const det = -e1y * e2z + e1z * e2y;
+  if (Math.abs(det) < 1e-12) return false;
+  const inv = 1 / det;
+
+  const sx = p.x - a.x, sy = p.y - a.y, sz = p.z - a.z;
+  const u = (-sy * e2z + sz * e2y) * inv;
+  if (u < 0 || u > 1) return false;
+
+  // q = s × e1; v = dir · q
+  const qx = sy * e1z - sz * e1y;
+  const qy = sz * e1x - sx * e1z;
+  const qz = sx * e1y - sy * e1x;
+  const v = qx * inv;
+  if (v < 0 || u + v > 1) return false;
+
+  const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return t > 0;
+}
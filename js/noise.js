@@ -1,204 +1,307 @@
-// noise.js — 3D Simplex noise + fractal Brownian motion (fBm).
-// Based on Stefan Gustavson's simplex noise (public domain).
+// noise.js — 3D Simplex, value and cellular (Worley) noise + fractal Brownian motion (fBm).
+// Simplex is based on Stefan Gustavson's simplex noise (public domain).
+// Noise comes as seeded instances (createNoise) so pipeline stages don't share state.
 // Self-contained, no dependencies.
 
-// --- Simplex 3D noise ---
-
-// Permutation table (doubled to avoid wrapping)
-const perm = new Uint8Array(512);
 const grad3 = [
   [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
   [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
   [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1],
 ];
 
-let _seeded = false;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
 
 /**
- * Seed the noise permutation table. Call before using noise functions.
+ * Bases selectable by fbm3's `basis` option. ridged and billow reshape simplex octaves;
+ * the rest are sampled directly at each octave.
  */
-export function seed(s) {
-  // Simple seeded shuffle (Mulberry32-based PRNG)
-  function mulberry32(a) {
-    return function() {
-      a |= 0; a = a + 0x6D2B79F5 | 0;
-      let t = Math.imul(a ^ a >>> 15, 1 | a);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+export const NOISE_BASES = ['simplex', 'value', 'cellularF1', 'cellularF2', 'cellularF2F1', 'ridged', 'billow'];
+
+/**
+ * A noise instance with its own permutation table, shuffled from `seed`.
+ * Instances with different seeds are independent; the same seed always gives the
+ * same noise. Returns { simplex3, value3, cellular3, fbm3, fbm3vec, domainWarp3, curl3 }.
+ */
+export function createNoise(seed = 0) {
+  const perm = buildPermutation(seed);
+
+  // --- Simplex 3D noise ---
+
+  /**
+   * 3D Simplex noise. Returns value in [-1, 1].
+   */
+  function simplex3(xin, yin, zin) {
+    // Skew input space to determine which simplex cell we're in
+    const s = (xin + yin + zin) * F3;
+    const i = Math.floor(xin + s);
+    const j = Math.floor(yin + s);
+    const k = Math.floor(zin + s);
+
+    const t = (i + j + k) * G3;
+    const X0 = i - t;
+    const Y0 = j - t;
+    const Z0 = k - t;
+
+    const x0 = xin - X0;
+    const y0 = yin - Y0;
+    const z0 = zin - Z0;
+
+    // Determine which simplex we are in
+    let i1, j1, k1; // Offsets for second corner
+    let i2, j2, k2; // Offsets for third corner
+
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=1; k2=0; }
+      else if (x0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=0; k2=1; }
+      else { i1=0; j1=0; k1=1; i2=1; j2=0; k2=1; }
+    } else {
+      if (y0 < z0) { i1=0; j1=0; k1=1; i2=0; j2=1; k2=1; }
+      else if (x0 < z0) { i1=0; j1=1; k1=0; i2=0; j2=1; k2=1; }
+      else { i1=0; j1=1; k1=0; i2=1; j2=1; k2=0; }
+    }
+
+    const x1 = x0 - i1 + G3;
+    const y1 = y0 - j1 + G3;
+    const z1 = z0 - k1 + G3;
+    const x2 = x0 - i2 + 2.0 * G3;
+    const y2 = y0 - j2 + 2.0 * G3;
+    const z2 = z0 - k2 + 2.0 * G3;
+    const x3 = x0 - 1.0 + 3.0 * G3;
+    const y3 = y0 - 1.0 + 3.0 * G3;
+    const z3 = z0 - 1.0 + 3.0 * G3;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    const gi0 = perm[ii + perm[jj + perm[kk]]] % 12;
+    const gi1 = perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]] % 12;
+    const gi2 = perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]] % 12;
+    const gi3 = perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]] % 12;
+
+    let n0, n1, n2, n3;
+
+    let t0 = 0.6 - x0*x0 - y0*y0 - z0*z0;
+    if (t0 < 0) n0 = 0;
+    else { t0 *= t0; n0 = t0 * t0 * dot3(grad3[gi0], x0, y0, z0); }
+
+    let t1 = 0.6 - x1*x1 - y1*y1 - z1*z1;
+    if (t1 < 0) n1 = 0;
+    else { t1 *= t1; n1 = t1 * t1 * dot3(grad3[gi1], x1, y1, z1); }
+
+    let t2 = 0.6 - x2*x2 - y2*y2 - z2*z2;
+    if (t2 < 0) n2 = 0;
+    else { t2 *= t2; n2 = t2 * t2 * dot3(grad3[gi2], x2, y2, z2); }
+
+    let t3 = 0.6 - x3*x3 - y3*y3 - z3*z3;
+    if (t3 < 0) n3 = 0;
+    else { t3 *= t3; n3 = t3 * t3 * dot3(grad3[gi3], x3, y3, z3); }
+
+    // Scale to [-1, 1]
+    return 32.0 * (n0 + n1 + n2 + n3);
   }
 
-  const rng = mulberry32(s);
-  const p = new Uint8Array(256);
-  for (let i = 0; i < 256; i++) p[i] = i;
+  // --- Value and cellular noise ---
 
-  // Fisher-Yates shuffle
-  for (let i = 255; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+  // Lattice hash in [0, 255] from this instance's permutation table
+  function hash3(i, j, k) {
+    return perm[perm[perm[i & 255] + (j & 255)] + (k & 255)];
   }
 
-  for (let i = 0; i < 512; i++) {
-    perm[i] = p[i & 255];
+  /**
+   * 3D value noise: hashed lattice values, quintic-interpolated. Returns value in [-1, 1].
+   */
+  function value3(x, y, z) {
+    const i = Math.floor(x), j = Math.floor(y), k = Math.floor(z);
+    const u = fade(x - i), v = fade(y - j), w = fade(z - k);
+    const val = (di, dj, dk) => hash3(i + di, j + dj, k + dk) / 127.5 - 1;
+    const lerp = (a, b, t) => a + (b - a) * t;
+    return lerp(
+      lerp(lerp(val(0, 0, 0), val(1, 0, 0), u), lerp(val(0, 1, 0), val(1, 1, 0), u), v),
+      lerp(lerp(val(0, 0, 1), val(1, 0, 1), u), lerp(val(0, 1, 1), val(1, 1, 1), u), v),
+      w,
+    );
   }
-  _seeded = true;
-}
 
-// Ensure default seed on first use
-function ensureSeeded() {
-  if (!_seeded) seed(0);
-}
-
-const F3 = 1 / 3;
-const G3 = 1 / 6;
+  /**
+   * 3D cellular (Worley) noise: distances to the nearest (f1) and second-nearest (f2)
+   * of one jittered feature point per unit cell. Returns { f1, f2 }.
+   */
+  function cellular3(x, y, z) {
+    const i = Math.floor(x), j = Math.floor(y), k = Math.floor(z);
+    let f1 = Infinity, f2 = Infinity;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let dk = -1; dk <= 1; dk++) {
+          const h = hash3(i + di, j + dj, k + dk);
+          const px = i + di + perm[h] / 255 - x;
+          const py = j + dj + perm[h + 1] / 255 - y;
+          const pz = k + dk + perm[h + 2] / 255 - z;
+          const d = px * px + py * py + pz * pz;
+          if (d < f1) { f2 = f1; f1 = d; } else if (d < f2) { f2 = d; }
+        }
+      }
+    }
+    return { f1: Math.sqrt(f1), f2: Math.sqrt(f2) };
+  }
 
-function dot3(g, x, y, z) {
-  return g[0] * x + g[1] * y + g[2] * z;
-}
+  // --- Noise bases ---
+
+  /**
+   * One octave of a direct basis, roughly in [-1, 1]. Cellular distances are remapped
+   * from their typical ranges and clamped.
+   */
+  function basis3(basis, x, y, z) {
+    switch (basis) {
+      case 'value':
+        return value3(x, y, z);
+      case 'cellularF1':
+        return Math.min(1, cellular3(x, y, z).f1 * 2 - 1);
+      case 'cellularF2':
+        return Math.min(1, cellular3(x, y, z).f2 * 2.3 - 1.35);
+      case 'cellularF2F1': {
+        const c = cellular3(x, y, z);
+        return Math.min(1, (c.f2 - c.f1) * 3 - 1);
+      }
+      default:
+        return simplex3(x, y, z);
+    }
+  }
 
-/**
- * 3D Simplex noise. Returns value in [-1, 1].
- */
-export function simplex3(xin, yin, zin) {
-  ensureSeeded();
-
-  // Skew input space to determine which simplex cell we're in
-  const s = (xin + yin + zin) * F3;
-  const i = Math.floor(xin + s);
-  const j = Math.floor(yin + s);
-  const k = Math.floor(zin + s);
-
-  const t = (i + j + k) * G3;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const Z0 = k - t;
-
-  const x0 = xin - X0;
-  const y0 = yin - Y0;
-  const z0 = zin - Z0;
-
-  // Determine which simplex we are in
-  let i1, j1, k1; // Offsets for second corner
-  let i2, j2, k2; // Offsets for third corner
-
-  if (x0 >= y0) {
-    if (y0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=1; k2=0; }
-    else if (x0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=0; k2=1; }
-    else { i1=0; j1=0; k1=1; i2=1; j2=0; k2=1; }
-  } else {
-    if (y0 < z0) { i1=0; j1=0; k1=1; i2=0; j2=1; k2=1; }
-    else if (x0 < z0) { i1=0; j1=1; k1=0; i2=0; j2=1; k2=1; }
-    else { i1=0; j1=1; k1=0; i2=1; j2=1; k2=0; }
+  // --- Fractal Brownian Motion ---
+
+  /**
+   * Scalar fBm (layered 3D noise of the chosen `basis`, simplex by default).
+   * 'billow' sums |simplex| octaves (puffy, rounded); 'ridged' is Musgrave's ridged
+   * multifractal, where each octave is weighted by the last (sharp creases).
+   * Returns value in [-1, 1].
+   */
+  function fbm3(x, y, z, opts = {}) {
+    const {
+      octaves = 4,
+      persistence = 0.5,
+      lacunarity = 2.0,
+      frequency = 1.0,
+      amplitude = 1.0,
+      basis = 'simplex',
+    } = opts;
+
+    let value = 0;
+    let amp = amplitude;
+    let freq = frequency;
+    let maxAmp = 0;
+    let weight = 1; // Ridged: previous octave's signal gates the next
+
+    for (let i = 0; i < octaves; i++) {
+      const nx = x * freq, ny = y * freq, nz = z * freq;
+      if (basis === 'ridged') {
+        let signal = 1 - Math.abs(simplex3(nx, ny, nz));
+        signal *= signal * weight;
+        weight = Math.min(1, signal * 2);
+        value += (signal * 2 - 1) * amp;
+      } else if (basis === 'billow') {
+        value += (Math.abs(simplex3(nx, ny, nz)) * 2 - 1) * amp;
+      } else {
+        value += basis3(basis, nx, ny, nz) * amp;
+      }
+      maxAmp += amp;
+      amp *= persistence;
+      freq *= lacunarity;
+    }
+
+    return value / maxAmp;
   }
 
-  const x1 = x0 - i1 + G3;
-  const y1 = y0 - j1 + G3;
-  const z1 = z0 - k1 + G3;
-  const x2 = x0 - i2 + 2.0 * G3;
-  const y2 = y0 - j2 + 2.0 * G3;
-  const z2 = z0 - k2 + 2.0 * G3;
-  const x3 = x0 - 1.0 + 3.0 * G3;
-  const y3 = y0 - 1.0 + 3.0 * G3;
-  const z3 = z0 - 1.0 + 3.0 * G3;
-
-  const ii = i & 255;
-  const jj = j & 255;
-  const kk = k & 255;
-
-  const gi0 = perm[ii + perm[jj + perm[kk]]] % 12;
-  const gi1 = perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]] % 12;
-  const gi2 = perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]] % 12;
-  const gi3 = perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]] % 12;
-
-  let n0, n1, n2, n3;
-
-  let t0 = 0.6 - x0*x0 - y0*y0 - z0*z0;
-  if (t0 < 0) n0 = 0;
-  else { t0 *= t0; n0 = t0 * t0 * dot3(grad3[gi0], x0, y0, z0); }
-
-  let t1 = 0.6 - x1*x1 - y1*y1 - z1*z1;
-  if (t1 < 0) n1 = 0;
-  else { t1 *= t1; n1 = t1 * t1 * dot3(grad3[gi1], x1, y1, z1); }
-
-  let t2 = 0.6 - x2*x2 - y2*y2 - z2*z2;
-  if (t2 < 0) n2 = 0;
-  else { t2 *= t2; n2 = t2 * t2 * dot3(grad3[gi2], x2, y2, z2); }
-
-  let t3 = 0.6 - x3*x3 - y3*y3 - z3*z3;
-  if (t3 < 0) n3 = 0;
-  else { t3 *= t3; n3 = t3 * t3 * dot3(grad3[gi3], x3, y3, z3); }
-
-  // Scale to [-1, 1]
-  return 32.0 * (n0 + n1 + n2 + n3);
-}
+  /**
+   * 3-channel vector fBm — three independent noise samples for x/y/z displacement.
+   * Uses offset coordinates so the three channels are uncorrelated.
+   */
+  function fbm3vec(x, y, z, opts = {}) {
+    return {
+      x: fbm3(x, y, z, opts),
+      y: fbm3(x + 31.416, y + 47.853, z + 12.679, opts),
+      z: fbm3(x + 74.205, y + 13.842, z + 56.917, opts),
+    };
+  }
 
-// --- Fractal Brownian Motion ---
+  /**
+   * Domain warp: move (x, y, z) by a vector fBm field sampled at `frequency`, scaled by
+   * `strength` (in input units). Each of the `iterations` passes samples the field at
+   * the previously warped position, folding the space further. Returns the warped position.
+   */
+  function domainWarp3(x, y, z, strength, frequency, iterations, opts = {}) {
+    let wx = x, wy = y, wz = z;
+    for (let i = 1; i <= iterations; i++) {
+      // Shift each pass so successive warps are uncorrelated
+      const shift = 100 * i;
+      const d = fbm3vec(wx * frequency + shift, wy * frequency + shift, wz * frequency + shift, opts);
+      wx = x + d.x * strength;
+      wy = y + d.y * strength;
+      wz = z + d.z * strength;
+    }
+    return { x: wx, y: wy, z: wz };
+  }
 
-/**
- * Scalar fBm (layered 3D simplex noise).
- */
-export function fbm3(x, y, z, opts = {}) {
-  const {
-    octaves = 4,
-    persistence = 0.5,
-    lacunarity = 2.0,
-    frequency = 1.0,
-    amplitude = 1.0,
-  } = opts;
-
-  let value = 0;
-  let amp = amplitude;
-  let freq = frequency;
-  let maxAmp = 0;
-
-  for (let i = 0; i < octaves; i++) {
-    value += simplex3(x * freq, y * freq, z * freq) * amp;
-    maxAmp += amp;
-    amp *= persistence;
-    freq *= lacunarity;
+  /**
+   * 3D curl noise — divergence-free vector field from the curl of a 3-channel noise potential.
+   * Uses central finite differences to compute partial derivatives.
+   */
+  function curl3(x, y, z, opts = {}) {
+    const eps = 0.001;
+
+    // Offset constants for uncorrelated noise channels (same as fbm3vec)
+    const OX = 31.416, OY = 47.853, OZ = 12.679;
+    const PX = 74.205, PY = 13.842, PZ = 56.917;
+
+    // dNz/dy - dNy/dz
+    const dNz_dy = (fbm3(x + PX, (y + eps) + PY, z + PZ, opts) - fbm3(x + PX, (y - eps) + PY, z + PZ, opts)) / (2 * eps);
+    const dNy_dz = (fbm3(x + OX, y + OY, (z + eps) + OZ, opts) - fbm3(x + OX, y + OY, (z - eps) + OZ, opts)) / (2 * eps);
+
+    // dNx/dz - dNz/dx
+    const dNx_dz = (fbm3(x, y, z + eps, opts) - fbm3(x, y, z - eps, opts)) / (2 * eps);
+    const dNz_dx = (fbm3((x + eps) + PX, y + PY, z + PZ, opts) - fbm3((x - eps) + PX, y + PY, z + PZ, opts)) / (2 * eps);
+
+    // dNy/dx - dNx/dy
+    const dNy_dx = (fbm3((x + eps) + OX, y + OY, z + OZ, opts) - fbm3((x - eps) + OX, y + OY, z + OZ, opts)) / (2 * eps);
+    const dNx_dy = (fbm3(x, y + eps, z, opts) - fbm3(x, y - eps, z, opts)) / (2 * eps);
+
+    return {
+      x: dNz_dy - dNy_dz,
+      y: dNx_dz - dNz_dx,
+      z: dNy_dx - dNx_dy,
+    };
   }
 
-  return value / maxAmp;
+  return { simplex3, value3, cellular3, fbm3, fbm3vec, domainWarp3, curl3 };
 }
 
-/**
- * 3-channel vector fBm — three independent noise samples for x/y/z displacement.
- * Uses offset coordinates so the three channels are uncorrelated.
- */
-export function fbm3vec(x, y, z, opts = {}) {
-  return {
-    x: fbm3(x, y, z, opts),
-    y: fbm3(x + 31.416, y + 47.853, z + 12.679, opts),
-    z: fbm3(x + 74.205, y + 13.842, z + 56.917, opts),
+// Seeded Fisher-Yates shuffle of 0..255 (Mulberry32 PRNG), doubled to avoid wrapping
+function buildPermutation(seed) {
+  let a = seed | 0;
+  const rng = () => {
+    a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
   };
-}
-
-/**
- * 3D curl noise — divergence-free vector field from the curl of a 3-channel noise potential.
- * Uses central finite differences to compute partial derivatives.
- */
-export function curl3(x, y, z, opts = {}) {
-  const eps = 0.001;
 
-  // Offset constants for uncorrelated noise channels (same as fbm3vec)
-  const OX = 31.416, OY = 47.853, OZ = 12.679;
-  const PX = 74.205, PY = 13.842, PZ = 56.917;
-
-  // dNz/dy - dNy/dz
-  const dNz_dy = (fbm3(x + PX, (y + eps) + PY, z + PZ, opts) - fbm3(x + PX, (y - eps) + PY, z + PZ, opts)) / (2 * eps);
-  const dNy_dz = (fbm3(x + OX, y + OY, (z + eps) + OZ, opts) - fbm3(x + OX, y + OY, (z - eps) + OZ, opts)) / (2 * eps);
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+  }
 
-  // dNx/dz - dNz/dx
-  const dNx_dz = (fbm3(x, y, z + eps, opts) - fbm3(x, y, z - eps, opts)) / (2 * eps);
-  const dNz_dx = (fbm3((x + eps) + PX, y + PY, z + PZ, opts) - fbm3((x - eps) + PX, y + PY, z + PZ, opts)) / (2 * eps);
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+  return perm;
+}
 
-  // dNy/dx - dNx/dy
-  const dNy_dx = (fbm3((x + eps) + OX, y + OY, z + OZ, opts) - fbm3((x - eps) + OX, y + OY, z + OZ, opts)) / (2 * eps);
-  const dNx_dy = (fbm3(x, y + eps, z, opts) - fbm3(x, y - eps, z, opts)) / (2 * eps);
+function dot3(g, x, y, z) {
+  return g[0] * x + g[1] * y + g[2] * z;
+}
 
-  return {
-    x: dNz_dy - dNy_dz,
-    y: dNx_dz - dNz_dx,
-    z: dNy_dx - dNx_dy,
-  };
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
 }
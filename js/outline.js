@@ -0,0 +1,323 @@
+// outline.js — 2D outlines (typed text or SVG paths) as signed distance fields.
+// The outline is rasterised to a mask, converted to a 2D SDF with an exact Euclidean
+// distance transform, then extruded or lathed into 3D for the 'outline' shape type.
+
+const RASTER_SIZE = 384;   // Longest side of the mask, in pixels
+const RASTER_PAD = 16;     // Empty border so the field is valid just outside the outline
+
+let cachedKey = null;
+let cachedField = null;
+
+/**
+ * 2D field for the outline described by params, or null if it can't be built
+ * (no canvas available, empty text, unparseable SVG). Cached on the outline params.
+ */
+export function getOutlineField(params) {
+  const key = JSON.stringify([params.outlineSource, params.outlineText, params.outlineFont, params.outlineSVG]);
+  if (key === cachedKey) return cachedField;
+
+  cachedKey = key;
+  cachedField = null;
+  const raster = params.outlineSource === 'svg'
+    ? rasterizeSVG(params.outlineSVG)
+    : rasterizeText(params.outlineText, params.outlineFont);
+  if (raster) cachedField = buildOutlineField(raster.mask, raster.width, raster.height);
+  return cachedField;
+}
+
+/**
+ * 3D distance function and bounds for an outline field.
+ * Extrude: the outline lies in the XY plane, fit to `size`, extruded ±depth/2 along Z
+ * with a rounded bevel. Lathe: the outline is revolved around the Y axis with its
+ * centre `latheRadius` away from the axis.
+ */
+export function outlineSolid(field, { mode, size, depth, bevel, latheRadius }) {
+  const half = Math.max(0.5, depth / 2);
+  const b = Math.max(0, Math.min(bevel, half * 0.95));
+  const d2 = (x, y) => field.distance(x / size, y / size) * size;
+  const ex = field.extentX * size;
+  const ey = field.extentY * size;
+
+  if (mode === 'lathe') {
+    const R = Math.max(0, latheRadius);
+    return {
+      distance: (x, y, z) => d2(Math.sqrt(x * x + z * z) - R, y),
+      bounds: {
+        minX: -(R + ex), maxX: R + ex,
+        minY: -ey, maxY: ey,
+        minZ: -(R + ex), maxZ: R + ex,
+      },
+    };
+  }
+
+  return {
+    distance: (x, y, z) => {
+      const wx = d2(x, y) + b;
+      const wy = Math.abs(z) - half + b;
+      const ox = Math.max(wx, 0), oy = Math.max(wy, 0);
+      return Math.min(Math.max(wx, wy), 0) + Math.sqrt(ox * ox + oy * oy) - b;
+    },
+    bounds: {
+      minX: -ex, maxX: ex,
+      minY: -ey, maxY: ey,
+      minZ: -half, maxZ: half,
+    },
+  };
+}
+
+/**
+ * Signed distance field from a boolean mask (row-major, 1 = inside).
+ * Coordinates are normalised so the longest side of the mask spans [-1, 1];
+ * y points down the mask rows, matching screen space.
+ */
+export function buildOutlineField(mask, width, height) {
+  const n = width * height;
+  const toInside = new Float64Array(n);
+  const toOutside = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    toInside[i] = mask[i] ? 0 : Infinity;
+    toOutside[i] = mask[i] ? Infinity : 0;
+  }
+  edt2d(toInside, width, height);
+  edt2d(toOutside, width, height);
+
+  const unit = Math.max(width, height) / 2;  // pixels per normalised unit
+  const data = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    // Half-pixel offset puts the zero set on the pixel boundary
+    data[i] = mask[i]
+      ? -(Math.sqrt(toOutside[i]) - 0.5) / unit
+      : (Math.sqrt(toInside[i]) - 0.5) / unit;
+  }
+
+  const extentX = width / 2 / unit;
+  const extentY = height / 2 / unit;
+
+  // Bilinear lookup; outside the raster, add the distance to the raster edge
+  function distance(u, v) {
+    const px = (u / extentX * 0.5 + 0.5) * (width - 1);
+    const py = (v / extentY * 0.5 + 0.5) * (height - 1);
+    const cx = Math.max(0, Math.min(width - 1, px));
+    const cy = Math.max(0, Math.min(height - 1, py));
+    const x0 = Math.min(width - 2, Math.floor(cx)), y0 = Math.min(height - 2, Math.floor(cy));
+    const fx = cx - x0, fy = cy - y0;
+    const i = y0 * width + x0;
+    const top = data[i] + (data[i + 1] - data[i]) * fx;
+    const bottom = data[i + width] + (data[i + width + 1] - data[i + width]) * fx;
+    const inner = top + (bottom - top) * fy;
+    const ox = (px - cx) / unit, oy = (py - cy) / unit;
+    return inner + Math.sqrt(ox * ox + oy * oy);
+  }
+
+  return { distance, extentX, extentY };
+}
+
+// --- Rasterisation ---
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return null;
+}
+
+function readMask(ctx, width, height) {
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  const mask = new Uint8Array(width * height);
+  let any = false;
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = pixels[i * 4 + 3] > 127 ? 1 : 0;
+    if (mask[i]) any = true;
+  }
+  return any ? mask : null;
+}
+
+function rasterizeText(text, font) {
+  if (!text || !text.trim()) return null;
+  const probe = createCanvas(1, 1);
+  if (!probe) return null;
+
+  const fontSize = 200;
+  const fontSpec = `bold ${fontSize}px ${font || 'sans-serif'}`;
+  const pctx = probe.getContext('2d');
+  pctx.font = fontSpec;
+  const metrics = pctx.measureText(text);
+  const textW = Math.max(1, metrics.width);
+  const textH = fontSize * 1.25;
+
+  const scale = (RASTER_SIZE - RASTER_PAD * 2) / Math.max(textW, textH);
+  const width = Math.ceil(textW * scale) + RASTER_PAD * 2;
+  const height = Math.ceil(textH * scale) + RASTER_PAD * 2;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.font = fontSpec;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#000';
+  ctx.setTransform(scale, 0, 0, scale, width / 2, height / 2);
+  ctx.fillText(text, 0, 0);
+
+  const mask = readMask(ctx, width, height);
+  return mask ? { mask, width, height } : null;
+}
+
+function rasterizeSVG(svg) {
+  const paths = extractPathData(svg || '');
+  if (paths.length === 0 || typeof Path2D === 'undefined') return null;
+
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const d of paths) expandPathBounds(d, bounds);
+  const w = bounds.maxX - bounds.minX;
+  const h = bounds.maxY - bounds.minY;
+  if (!(w > 0 || h > 0)) return null;
+
+  const scale = (RASTER_SIZE - RASTER_PAD * 2) / Math.max(w, h);
+  const width = Math.ceil(w * scale) + RASTER_PAD * 2;
+  const height = Math.ceil(h * scale) + RASTER_PAD * 2;
+
+  const canvas = createCanvas(width, height);
+  if (!canvas) return null;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#000';
+  ctx.setTransform(scale, 0, 0, scale, RASTER_PAD - bounds.minX * scale, RASTER_PAD - bounds.minY * scale);
+  for (const d of paths) {
+    try {
+      ctx.fill(new Path2D(d));
+    } catch {
+      // Skip malformed path data
+    }
+  }
+
+  const mask = readMask(ctx, width, height);
+  return mask ? { mask, width, height } : null;
+}
+
+/**
+ * Accept either bare path data or SVG markup; return every path's `d` string.
+ */
+function extractPathData(svg) {
+  const text = svg.trim();
+  if (!text.includes('<')) return text ? [text] : [];
+  const paths = [];
+  const re = /<path\b[^>]*?\sd\s*=\s*(["'])([\s\S]*?)\1/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) paths.push(m[2]);
+  return paths;
+}
+
+/**
+ * Conservative bounds of path data: every end point and control point, absolute or relative.
+ */
+function expandPathBounds(d, bounds) {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const argCounts = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let cmd = null;
+  let i = 0;
+
+  const add = (px, py) => {
+    if (px < bounds.minX) bounds.minX = px;
+    if (px > bounds.maxX) bounds.maxX = px;
+    if (py < bounds.minY) bounds.minY = py;
+    if (py > bounds.maxY) bounds.maxY = py;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      cmd = tokens[i++];
+      if (cmd.toLowerCase() === 'z') {
+        x = startX; y = startY;
+        continue;
+      }
+    }
+    if (!cmd) return;
+    const lower = cmd.toLowerCase();
+    const count = argCounts[lower];
+    if (count === undefined || i + count > tokens.length) return;
+    const args = tokens.slice(i, i + count).map(Number);
+    i += count;
+    const rel = cmd === lower;
+
+    if (lower === 'h') {
+      x = rel ? x + args[0] : args[0];
+    } else if (lower === 'v') {
+      y = rel ? y + args[0] : args[0];
+    } else if (lower === 'a') {
+      const ex = rel ? x + args[5] : args[5];
+      const ey = rel ? y + args[6] : args[6];
+      // Arc may bulge up to its radii beyond the chord
+      add(ex - args[0], ey - args[1]);
+      add(ex + args[0], ey + args[1]);
+      x = ex; y = ey;
+    } else {
+      for (let k = 0; k < count; k += 2) {
+        add(rel ? x + args[k] : args[k], rel ? y + args[k + 1] : args[k + 1]);
+      }
+      x = rel ? x + args[count - 2] : args[count - 2];
+      y = rel ? y + args[count - 1] : args[count - 1];
+    }
+    add(x, y);
+
+    if (lower === 'm') {
+      startX = x; startY = y;
+      // Extra coordinate pairs after a moveto are implicit linetos
+      cmd = rel ? 'l' : 'L';
+    }
+  }
+}
+
+// --- Exact Euclidean distance transform (Felzenszwalb & Huttenlocher) ---
+
+function edt2d(grid, width, height) {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+    edt1d(f, height, d, v, z);
+    for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) f[x] = grid[y * width + x];
+    edt1d(f, width, d, v, z);
+    for (let x = 0; x < width; x++) grid[y * width + x] = d[x];
+  }
+}
+
+function edt1d(f, n, d, v, z) {
+  // Lower envelope of parabolas rooted at finite samples
+  let k = -1;
+  for (let q = 0; q < n; q++) {
+    if (f[q] === Infinity) continue;
+    let s = -Infinity;
+    while (k >= 0) {
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      if (s > z[k]) break;
+      k--;
+    }
+    k++;
+    v[k] = q;
+    z[k] = k === 0 ? -Infinity : s;
+    z[k + 1] = Infinity;
+  }
+
+  if (k < 0) {
+    for (let q = 0; q < n; q++) d[q] = Infinity;
+    return;
+  }
+
+  let j = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[j + 1] < q) j++;
+    const dx = q - v[j];
+    d[q] = dx * dx + f[v[j]];
+  }
+}
@@ -0,0 +1,146 @@
+// pipeline-worker.js — Runs generation, deformation, orientation and projection off the
+// main thread. main.js posts the params with the stage they invalidate; results come
+// back as projected bird buffers (transferred, not copied) plus the deformer gizmos.
+//
+// Messages in:  { type: 'run', id, level, params }, { type: 'mesh', mesh },
+//               { type: 'pointCloud', points }, { type: 'densityMap', map }
+// Messages out: { type: 'progress', id, stage, step, steps },
+//               { type: 'result', id, birds, gizmos, error }, { type: 'error', id, stage, message }
+// `error` on a result is the { stage, message } failure still standing from an earlier job, or null.
+
+import { generateCloud } from './generate.js';
+import { applyDeformers, detachGizmos } from './deformers.js';
+import { orientPoints, projectScene } from './projection.js';
+import { setMesh } from './mesh.js';
+import { setPointCloud, getPointCloud, fitPointCloud } from './point-cloud.js';
+import { setDensityMap } from './density-map.js';
+import { createPointBuffer } from './point-buffer.js';
+
+// --- Dirty flags for incremental regeneration (see markDirty in main.js) ---
+const dirty = {
+  shape: true,
+  deform: true,
+  orient: true,
+  camera: true,
+};
+
+// --- Cached pipeline stages ---
+let baseCloud = createPointBuffer(0);
+let deformedCloud = createPointBuffer(0);
+let orientedCloud = createPointBuffer(0);
+let projectedBirds = null;  // Transferred to the main thread with each result
+let gizmos = [];
+
+/**
+ * Pipeline stages in order; each runs when its flag is dirty (markDirty also dirties
+ * every later stage).
+ */
+const STAGES = [
+  {
+    name: 'shape',
+    run(params) {
+      // Imported points skip generation (and sub-flocks) and go straight to the deformers
+      const imported = params.shapeType === 'points' ? getPointCloud() : null;
+      baseCloud = imported ? fitPointCloud(imported, params) : generateCloud(params);
+    },
+  },
+  {
+    name: 'deform',
+    run(params) {
+      const found = [];
+      deformedCloud = applyDeformers(baseCloud, params, found);
+      gizmos = detachGizmos(found, params.deformers || []);
+    },
+  },
+  {
+    name: 'orient',
+    run(params) {
+      orientedCloud = orientPoints(deformedCloud, params);
+    },
+  },
+  {
+    name: 'camera',
+    run(params) {
+      projectedBirds = projectScene(orientedCloud, params);
+    },
+  },
+];
+
+let job = null;       // Latest 'run' message not yet completed
+let running = false;
+let failure = null;   // { stage, message } of the last stage that threw, until it reruns
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'run':
+      markDirty(msg.level);
+      job = msg;
+      if (!running) runJobs();
+      break;
+    case 'mesh':
+      setMesh(msg.mesh);
+      break;
+    case 'pointCloud':
+      setPointCloud(msg.points);
+      break;
+    case 'densityMap':
+      setDensityMap(msg.map);
+      break;
+  }
+};
+
+function markDirty(level) {
+  if (level === 'shape') dirty.shape = true;
+  if (level === 'shape' || level === 'deform') dirty.deform = true;
+  if (level !== 'camera') dirty.orient = true;
+  dirty.camera = true;
+}
+
+/**
+ * Work through the latest job stage by stage. Between stages, queued messages get a
+ * chance to run; if a newer job has arrived, the current one is abandoned and the
+ * newer one carries on from the first stage still dirty, so finished stages are kept.
+ */
+async function runJobs() {
+  running = true;
+  while (job) {
+    const current = job;
+    const stages = STAGES.filter(stage => dirty[stage.name]);
+    // Only a change that reaches the failed stage retries it
+    if (failure && dirty[failure.stage]) failure = null;
+
+    let stage = null;
+    try {
+      for (let i = 0; i < stages.length; i++) {
+        stage = stages[i];
+        self.postMessage({ type: 'progress', id: current.id, stage: stage.name, step: i, steps: stages.length });
+        await nextTask();
+        if (job !== current) break;
+        stage.run(current.params);
+        dirty[stage.name] = false;
+      }
+    } catch (err) {
+      // Drop the job and keep the last good stages, so camera-only jobs still project
+      // them; the failed stage waits for a change that reaches it
+      if (job === current) job = null;
+      failure = { stage: stage.name, message: err.message };
+      for (const name of Object.keys(dirty)) dirty[name] = false;
+      self.postMessage({ type: 'error', id: current.id, ...failure });
+      continue;
+    }
+    if (job !== current) continue;
+
+    job = null;
+    const birds = projectedBirds;
+    projectedBirds = null;
+    const transfer = Object.values(birds).filter(ArrayBuffer.isView).map(a => a.buffer);
+    self.postMessage({ type: 'result', id: current.id, birds, gizmos, error: failure }, transfer);
+  }
+  running = false;
+}
+
+// Resolve after any queued messages have been handled
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,56 @@
+// point-buffer.js — Structure-of-arrays point storage shared by the pipeline stages.
+// A buffer is { count, x, y, z, ... }: one typed array per component, grouped into
+// attributes. Stages add attributes (heading, flow, pose) instead of copying points.
+
+/**
+ * Attribute name → component arrays and their element type.
+ * position is always present; the rest are optional and null until added.
+ */
+export const ATTRIBUTE_LAYOUT = {
+  position: { keys: ['x', 'y', 'z'], type: Float32Array },
+  heading: { keys: ['hx', 'hy', 'hz'], type: Float32Array },   // Simulated / imported velocity
+  flow: { keys: ['fx', 'fy', 'fz'], type: Float32Array },      // World-space orientation (orientPoints)
+  pose: { keys: ['pose'], type: Uint8Array },                  // Pose index (orientPoints)
+};
+
+/**
+ * A zeroed buffer of `count` points with the named attributes (position is implied).
+ */
+export function createPointBuffer(count, attributes = []) {
+  const buffer = { count };
+  for (const [name, { keys }] of Object.entries(ATTRIBUTE_LAYOUT)) {
+    for (const key of keys) buffer[key] = null;
+    if (name === 'position' || attributes.includes(name)) addAttribute(buffer, name);
+  }
+  return buffer;
+}
+
+/**
+ * Allocate a zeroed attribute on `buffer` (replacing any existing one). Returns the buffer.
+ */
+export function addAttribute(buffer, name) {
+  const { keys, type } = ATTRIBUTE_LAYOUT[name];
+  for (const key of keys) buffer[key] = new type(buffer.count);
+  return buffer;
+}
+
+export function hasAttribute(buffer, name) {
+  return buffer[ATTRIBUTE_LAYOUT[name].keys[0]] !== null;
+}
+
+/**
+ * Pack [{x, y, z, heading?}] into a buffer. A heading attribute is added when any
+ * point has one (points without one get a zero heading).
+ */
+export function pointsToBuffer(points) {
+  const withHeadings = points.some(p => p.heading);
+  const buffer = createPointBuffer(points.length, withHeadings ? ['heading'] : []);
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    buffer.x[i] = p.x; buffer.y[i] = p.y; buffer.z[i] = p.z;
+    if (withHeadings && p.heading) {
+      buffer.hx[i] = p.heading.x; buffer.hy[i] = p.heading.y; buffer.hz[i] = p.heading.z;
+    }
+  }
+  return buffer;
+}
@@ -0,0 +1,166 @@
+// point-cloud.js — External point clouds (CSV / XYZ / PLY) used directly as the base cloud.
+// Optional velocity or normal columns become each point's `heading`.
+
+import { parsePLY } from './mesh.js';
+import { createPointBuffer } from './point-buffer.js';
+
+let currentCloud = null;
+
+// Column names recognised in CSV headers and PLY vertex properties, per component
+const POSITION_COLUMNS = [
+  ['x', 'px', 'pos_x', 'position_x'],
+  ['y', 'py', 'pos_y', 'position_y'],
+  ['z', 'pz', 'pos_z', 'position_z'],
+];
+const HEADING_COLUMNS = [
+  // Velocity first, then normals
+  [['vx', 'u', 'vel_x', 'velocity_x'], ['vy', 'v', 'vel_y', 'velocity_y'], ['vz', 'w', 'vel_z', 'velocity_z']],
+  [['nx', 'normal_x'], ['ny', 'normal_y'], ['nz', 'normal_z']],
+];
+
+/**
+ * Parse a point-cloud file by extension. Accepts the raw file contents as an ArrayBuffer.
+ * Returns [{x, y, z, heading?}] or throws on malformed input.
+ */
+export function parsePointCloud(filename, buffer) {
+  const ext = filename.toLowerCase().split('.').pop();
+  if (ext === 'ply') {
+    const { vertices } = parsePLY(buffer);
+    return recordsToPoints(vertices, Object.keys(vertices[0] || {}));
+  }
+  if (ext === 'csv' || ext === 'xyz' || ext === 'txt') {
+    return parseDelimited(new TextDecoder().decode(buffer));
+  }
+  throw new Error(`Unsupported point cloud format: .${ext}`);
+}
+
+/**
+ * Register the cloud used by the 'points' shape type. Pass null to clear.
+ */
+export function setPointCloud(points) {
+  currentCloud = points;
+}
+
+/**
+ * The loaded point cloud, or null if none is loaded.
+ */
+export function getPointCloud() {
+  return currentCloud;
+}
+
+/**
+ * Base cloud from the loaded points: centred on their bounding box, uniformly scaled
+ * so it fits within ±radiusX/Y/Z, and evenly subsampled down to `count`.
+ * Returns a point buffer, with a heading attribute if any loaded point has a heading.
+ */
+export function fitPointCloud(points, params) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (const p of points) {
+    min.x = Math.min(min.x, p.x); max.x = Math.max(max.x, p.x);
+    min.y = Math.min(min.y, p.y); max.y = Math.max(max.y, p.y);
+    min.z = Math.min(min.z, p.z); max.z = Math.max(max.z, p.z);
+  }
+  const cx = (min.x + max.x) / 2, cy = (min.y + max.y) / 2, cz = (min.z + max.z) / 2;
+
+  // Flat axes (e.g. a 2D track) don't constrain the scale
+  const fits = [
+    [max.x - min.x, params.radiusX],
+    [max.y - min.y, params.radiusY],
+    [max.z - min.z, params.radiusZ],
+  ].filter(([extent]) => extent > 0).map(([extent, r]) => r / (extent / 2));
+  const s = fits.length > 0 ? Math.min(...fits) : 1;
+
+  const n = Math.min(points.length, Math.max(0, Math.round(params.count)));
+  const withHeadings = points.some(p => p.heading);
+  const out = createPointBuffer(n, withHeadings ? ['heading'] : []);
+  for (let i = 0; i < n; i++) {
+    const p = points[Math.floor(i * points.length / n)];
+    out.x[i] = (p.x - cx) * s;
+    out.y[i] = (p.y - cy) * s;
+    out.z[i] = (p.z - cz) * s;
+    if (p.heading) {
+      out.hx[i] = p.heading.x; out.hy[i] = p.heading.y; out.hz[i] = p.heading.z;
+    }
+  }
+  return out;
+}
+
+// --- CSV / XYZ ---
+
+/**
+ * Comma-, semicolon-, tab- or space-separated rows. A header row (any non-numeric
+ * field) names the columns; without one, columns are x y z [hx hy hz], where the
+ * heading columns are skipped if they look like 0–255 colour values. Small
+ * non-negative integer velocities look the same, so such files need a header row.
+ */
+function parseDelimited(text) {
+  const rows = [];
+  let names = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+    const fields = line.split(/\s*[,;\t]\s*|\s+/);
+    if (rows.length === 0 && !names && fields.some(f => f !== '' && !isFinite(Number(f)))) {
+      names = fields.map(f => f.toLowerCase().replace(/^["']|["']$/g, ''));
+      continue;
+    }
+    rows.push(fields.map(Number));
+  }
+
+  if (!names) {
+    const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+    names = ['x', 'y', 'z'];
+    if (width >= 6 && !looksLikeColour(rows)) names.push('vx', 'vy', 'vz');
+  }
+
+  const records = rows.map(row => {
+    const record = {};
+    names.forEach((name, i) => { record[name] = row[i]; });
+    return record;
+  });
+  return recordsToPoints(records, names);
+}
+
+// Integers within 0–255 and at least one above 1; velocities go negative, and
+// all-zero or 0/1 columns are more likely directions than colours
+function looksLikeColour(rows) {
+  const sample = rows.slice(0, 100).map(r => r.slice(3, 6));
+  return sample.every(c => c.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) &&
+    sample.some(c => c.some(v => v > 1));
+}
+
+// --- Shared ---
+
+function findColumns(names, candidates) {
+  const cols = candidates.map(options => options.find(o => names.includes(o)));
+  return cols.every(Boolean) ? cols : null;
+}
+
+function recordsToPoints(records, names) {
+  const pos = findColumns(names, POSITION_COLUMNS);
+  if (!pos) throw new Error('Point cloud has no x / y / z columns');
+  let heading = null;
+  for (const candidates of HEADING_COLUMNS) {
+    heading = findColumns(names, candidates);
+    if (heading) break;
+  }
+
+  const points = [];
+  for (const r of records) {
+    const x = r[pos[0]], y = r[pos[1]], z = r[pos[2]];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    const p = { x, y, z };
+    if (heading) {
+      const hx = r[heading[0]], hy = r[heading[1]], hz = r[heading[2]];
+      if (Number.isFinite(hx) && Number.isFinite(hy) && Number.isFinite(hz) && (hx || hy || hz)) {
+        p.heading = { x: hx, y: hy, z: hz };
+      }
+    }
+    points.push(p);
+  }
+
+  if (points.length === 0) throw new Error('Point cloud contains no valid points');
+  return points;
+}
@@ -1,5 +1,15 @@
 // presets.js — Built-in and custom preset system for MurmurationIO.
 
+import { defaultDeformer, migrateDeformerParams } from './deformers.js';
+
+/**
+ * Smooth organic pre-deformation: one low-frequency noise octave,
+ * offset so it doesn't correlate with the detail noise.
+ */
+function smoothNoise(frequency, amplitude) {
+  return defaultDeformer('noise', { frequency, amplitude, octaves: 1, offsetX: 200, offsetY: 200, offsetZ: 200 });
+}
+
 export const BUILT_IN_PRESETS = {
   'Classic Murmuration': {
     shapeType: 'ellipsoid',
@@ -9,12 +19,10 @@ export const BUILT_IN_PRESETS = {
     densityFalloff: 2.5,
     densityNoise: 0.4,
     densityNoiseFreq: 0.02,
-    noiseAmp: 25,
-    noiseFreq: 0.015,
-    noiseOctaves: 3,
-    smoothEnabled: true,
-    smoothFreq: 0.005,
-    smoothAmp: 35,
+    deformers: [
+      smoothNoise(0.005, 35),
+      defaultDeformer('noise', { amplitude: 25, frequency: 0.015, octaves: 3 }),
+    ],
     subFlocks: 2,
     subFlockSpread: 0.5,
     subFlockSizeVar: 0.3,
@@ -31,26 +39,21 @@ export const BUILT_IN_PRESETS = {
     orientJitter: 0.15,
   },
   'Tornado': {
-    shapeType: 'ellipsoid',
+    shapeType: 'funnel',
     count: 1500,
     radiusX: 20, radiusY: 20, radiusZ: 100,
+    funnelBottom: 30,
+    funnelTop: 4,
     fillMode: 'volume',
     densityFalloff: 1.5,
     densityNoise: 0.2,
-    noiseAmp: 15,
-    noiseFreq: 0.02,
-    noiseOctaves: 3,
-    twistEnabled: true,
-    twistAmount: 2.0,
-    twistAxis: 'z',
-    taperEnabled: true,
-    taperStart: 1.5,
-    taperEnd: 0.2,
-    taperAxis: 'z',
+    deformers: [
+      defaultDeformer('noise', { amplitude: 15, frequency: 0.02, octaves: 3 }),
+      defaultDeformer('twist', { amount: 2.0, axis: 'z' }),
+    ],
     subFlocks: 1,
     darkBandEnabled: true,
     darkBandStrength: 0.5,
-    smoothEnabled: false,
     curlFlowFreq: 0.015,
     orientToFlow: true,
   },
@@ -58,14 +61,20 @@ export const BUILT_IN_PRESETS = {
     shapeType: 'swept',
     count: 1000,
     sweptRadius: 12,
+    sweptSpine: [
+      { x: -60, y: 0, z: -80, r: 0.6 },
+      { x: -30, y: 30, z: -30, r: 1.0 },
+      { x: 0, y: -20, z: 0, r: 1.3 },
+      { x: 30, y: 25, z: 30, r: 1.0 },
+      { x: 60, y: -10, z: 80, r: 0.5 },
+    ],
+    sweptClosed: false,
     densityFalloff: 2.0,
     densityNoise: 0.3,
-    noiseAmp: 15,
-    noiseFreq: 0.02,
-    noiseOctaves: 3,
-    smoothEnabled: true,
-    smoothFreq: 0.008,
-    smoothAmp: 20,
+    deformers: [
+      smoothNoise(0.008, 20),
+      defaultDeformer('noise', { amplitude: 15, frequency: 0.02, octaves: 3 }),
+    ],
     subFlocks: 1,
     curlFlowFreq: 0.015,
     darkBandEnabled: true,
@@ -73,6 +82,29 @@ export const BUILT_IN_PRESETS = {
     orientToFlow: true,
     poseVariation: true,
   },
+  'Sculpted': {
+    shapeType: 'sdf',
+    count: 1500,
+    fillMode: 'volume',
+    sdfPrimitives: [
+      { type: 'ellipsoid', op: 'union', blend: 0, x: -40, y: 0, z: 0, rotX: 0, rotY: 0, rotZ: 0, sizeX: 50, sizeY: 35, sizeZ: 70 },
+      { type: 'ellipsoid', op: 'blend', blend: 30, x: 60, y: 10, z: 30, rotX: 0, rotY: 0.6, rotZ: 0, sizeX: 35, sizeY: 30, sizeZ: 45 },
+      { type: 'torus', op: 'subtract', blend: 0, x: -40, y: 0, z: 0, rotX: 1.2, rotY: 0, rotZ: 0, sizeX: 40, sizeY: 10, sizeZ: 10 },
+    ],
+    densityFalloff: 1.5,
+    densityNoise: 0.4,
+    densityNoiseFreq: 0.02,
+    deformers: [
+      smoothNoise(0.006, 15),
+      defaultDeformer('noise', { amplitude: 12, frequency: 0.02, octaves: 3 }),
+    ],
+    subFlocks: 1,
+    curlFlowFreq: 0.012,
+    darkBandEnabled: true,
+    darkBandStrength: 0.5,
+    orientToFlow: true,
+    poseVariation: true,
+  },
   'Explosion': {
     shapeType: 'sphere',
     count: 2000,
@@ -81,10 +113,9 @@ export const BUILT_IN_PRESETS = {
     densityFalloff: 0.8,
     densityNoise: 0.6,
     densityNoiseFreq: 0.015,
-    noiseAmp: 40,
-    noiseFreq: 0.02,
-    noiseOctaves: 5,
-    smoothEnabled: false,
+    deformers: [
+      defaultDeformer('noise', { amplitude: 40, frequency: 0.02, octaves: 5 }),
+    ],
     subFlocks: 3,
     subFlockSpread: 1.2,
     subFlockSizeVar: 0.4,
@@ -103,12 +134,10 @@ export const BUILT_IN_PRESETS = {
     fillMode: 'surface',
     densityFalloff: 1.0,
     densityNoise: 0.2,
-    noiseAmp: 10,
-    noiseFreq: 0.02,
-    noiseOctaves: 3,
-    smoothEnabled: true,
-    smoothFreq: 0.006,
-    smoothAmp: 20,
+    deformers: [
+      smoothNoise(0.006, 20),
+      defaultDeformer('noise', { amplitude: 10, frequency: 0.02, octaves: 3 }),
+    ],
     subFlocks: 1,
     curlFlowFreq: 0.01,
     darkBandEnabled: true,
@@ -120,11 +149,12 @@ export const BUILT_IN_PRESETS = {
 
 /**
  * Apply a preset to the params object (merges, doesn't replace).
+ * Deep-copied so UI edits to nested values (e.g. spine points) never touch the preset itself.
  */
 export function applyPreset(presetName, params) {
   const preset = BUILT_IN_PRESETS[presetName];
   if (!preset) return false;
-  Object.assign(params, preset);
+  Object.assign(params, structuredClone(preset));
   return true;
 }
 
@@ -146,9 +176,24 @@ export function exportParams(params) {
 export function importParams(json, params) {
   try {
     const obj = JSON.parse(json);
-    Object.assign(params, obj);
+    // Older files use flat deformer keys (twistEnabled, noiseAmp, ...) and one `seed` for all noise
+    Object.assign(params, migrateNoiseSeeds(migrateDeformerParams(obj)));
     return true;
   } catch {
     return false;
   }
 }
+
+const NOISE_SEED_KEYS = ['densitySeed', 'deformSeed', 'flowSeed', 'poseSeed'];
+
+/**
+ * Before per-stage noise, every noise stage was seeded from `seed`. Files with a
+ * `seed` but no stage seeds get it for each stage, so they reproduce as before.
+ * Returns the object.
+ */
+function migrateNoiseSeeds(obj) {
+  if ('seed' in obj && !NOISE_SEED_KEYS.some(k => k in obj)) {
+    for (const k of NOISE_SEED_KEYS) obj[k] = obj.seed;
+  }
+  return obj;
+}
@@ -1,54 +1,107 @@
 // projection.js — Camera rotation, 3D→2D projection, depth sorting.
 
 import { rotateX, rotateY, rotateZ } from './vec3.js';
-import { fbm3, curl3, simplex3 } from './noise.js';
+import { createNoise } from './noise.js';
+import { relaxBirds } from './relax.js';
+import { addAttribute, hasAttribute } from './point-buffer.js';
+
+const CAM_DIST = 300; // Virtual camera distance for perspective
 
 /**
- * Orient birds (compute heading angle from noise gradient), then
- * project 3D points to 2D screen coordinates with depth sorting.
- *
- * Returns an array of { sx, sy, depth, angle, scale } sorted back-to-front.
+ * Camera-independent orientation inputs, computed once per deform: each point's
+ * world-space flow direction (simulated/imported heading when orientSource is
+ * 'heading', else curl noise; zero when not orienting) and its pose index.
+ * Returns a buffer sharing the input's positions with flow and pose attributes
+ * added, for projectScene.
  */
-export function projectScene(points3d, params) {
-  const {
-    camRotX, camRotY, camRotZ, camZoom,
-    projType, camFOV,
-    width, height,
-    birdScale, depthScale, depthOpacity,
-    orientToFlow, orientJitter, seed,
-    noiseFreq,
-    curlFlowFreq, curlFlowOctaves,
-  } = params;
-
-  const cx = width / 2;
-  const cy = height / 2;
-  const camDist = 300; // Virtual camera distance for perspective
-
-  const birds = [];
+export function orientPoints(buffer, params) {
+  const { orientToFlow, curlFlowFreq, curlFlowOctaves } = params;
+  const out = addAttribute(addAttribute({ ...buffer }, 'flow'), 'pose');
+  const { x, y, z } = buffer;
+  const useHeadings = orientToFlow && params.orientSource === 'heading' && hasAttribute(buffer, 'heading');
 
-  for (let i = 0; i < points3d.length; i++) {
-    const p = points3d[i];
+  // Separate noise instances, so flow and pose can be re-rolled independently of the shape
+  const flowNoise = createNoise(params.flowSeed);
+  const poseNoise = createNoise(params.poseSeed);
+  const flowFreq = curlFlowFreq || 0.015;
 
-    // Compute curl flow vector in world space
-    let curlVec = null;
-    const flowFreq = curlFlowFreq || noiseFreq || 0.015;
-    if (orientToFlow && flowFreq > 0) {
-      curlVec = curl3(p.x * flowFreq, p.y * flowFreq, p.z * flowFreq, {
+  for (let i = 0; i < buffer.count; i++) {
+    // Heading in world space: simulated/imported heading if requested, else curl flow
+    if (useHeadings && (buffer.hx[i] || buffer.hy[i] || buffer.hz[i])) {
+      out.fx[i] = buffer.hx[i]; out.fy[i] = buffer.hy[i]; out.fz[i] = buffer.hz[i];
+    } else if (orientToFlow && flowFreq > 0) {
+      const flow = flowNoise.curl3(x[i] * flowFreq, y[i] * flowFreq, z[i] * flowFreq, {
         octaves: curlFlowOctaves || 2,
         frequency: 1,
+        basis: params.curlFlowBasis,
       });
+      out.fx[i] = flow.x; out.fy[i] = flow.y; out.fz[i] = flow.z;
+    }
+
+    // Pose index from noise at world position
+    if (params.poseVariation && params.poseNoiseFreq > 0) {
+      const f = params.poseNoiseFreq;
+      const n = poseNoise.fbm3(x[i] * f, y[i] * f, z[i] * f, { octaves: 1, basis: params.poseNoiseBasis });
+      const poseVal = (n + 1) * 0.5; // [0,1]
+      if (poseVal < 0.35) out.pose[i] = 0;
+      else if (poseVal < 0.55) out.pose[i] = 1;
+      else if (poseVal < 0.75) out.pose[i] = 2;
+      else out.pose[i] = 3;
     }
+  }
+
+  return out;
+}
+
+/**
+ * Projected birds as structure-of-arrays: screen position, depth, heading angle, size,
+ * opacity, dark-band density and pose per bird, plus `order`, the bird indices sorted
+ * back-to-front. Renderers draw in `order`.
+ */
+export function createProjectedBirds(count) {
+  return {
+    count,
+    sx: new Float32Array(count),
+    sy: new Float32Array(count),
+    depth: new Float32Array(count),
+    angle: new Float32Array(count),
+    scale: new Float32Array(count),
+    opacity: new Float32Array(count),
+    localDensity: new Float32Array(count),
+    poseIndex: new Uint8Array(count),
+    order: new Uint32Array(count),
+  };
+}
+
+/**
+ * Turn each oriented point's flow (from orientPoints) into a screen heading angle,
+ * then project 3D points to 2D screen coordinates with depth sorting.
+ * Only rotation and projection happen here, so camera moves stay cheap.
+ *
+ * Returns projected birds (see createProjectedBirds) for the points in front of the
+ * camera; `order` lists them back-to-front.
+ */
+export function projectScene(points, params) {
+  const {
+    camRotX, camRotY, camRotZ, camZoom,
+    projType,
+    width, height,
+    birdScale, depthScale, depthOpacity,
+    orientJitter, seed,
+  } = params;
 
-    // Apply camera rotation to point
-    let v = p;
-    v = rotateX(v, camRotX);
-    v = rotateY(v, camRotY);
-    v = rotateZ(v, camRotZ);
+  const birds = createProjectedBirds(points.count);
+  const perspScales = new Float32Array(points.count);
+  const hasFlow = hasAttribute(points, 'flow');
+  const hasPose = hasAttribute(points, 'pose');
+  const p = { x: 0, y: 0, z: 0 };
+  let count = 0;
 
-    // Rotate curl vector by same camera transform, then project to 2D heading
+  for (let i = 0; i < points.count; i++) {
+    // Rotate flow vector by same camera transform, then project to 2D heading
     let angle = 0;
-    if (curlVec) {
-      let cv = curlVec;
+    if (hasFlow && (points.fx[i] || points.fy[i] || points.fz[i])) {
+      let cv = { x: points.fx[i], y: points.fy[i], z: points.fz[i] };
       cv = rotateX(cv, camRotX);
       cv = rotateY(cv, camRotY);
       cv = rotateZ(cv, camRotZ);
@@ -60,80 +113,69 @@ export function projectScene(points3d, params) {
     }
 
     // Project to 2D
-    let sx, sy, perspScale;
+    p.x = points.x[i]; p.y = points.y[i]; p.z = points.z[i];
+    const screen = projectPoint(p, params);
+    if (!screen) continue; // Behind camera
 
-    if (projType === 'perspective') {
-      const d = v.z + camDist;
-      if (d <= 0.1) continue; // Behind camera
-      perspScale = camFOV / d;
-      sx = v.x * perspScale + cx;
-      sy = v.y * perspScale + cy;
-    } else {
-      // Orthographic
-      perspScale = 1;
-      sx = v.x * camZoom + cx;
-      sy = v.y * camZoom + cy;
-    }
+    birds.sx[count] = screen.sx;
+    birds.sy[count] = screen.sy;
+    birds.depth[count] = screen.depth;
+    birds.angle[count] = angle;
+    birds.poseIndex[count] = hasPose ? points.pose[i] : 0;
+    perspScales[count] = screen.perspScale;
+    count++;
+  }
 
-    // Assign pose index from noise at world position
-    let poseIndex = 0;
-    if (params.poseVariation && params.poseNoiseFreq > 0) {
-      const poseNoise = simplex3(p.x * params.poseNoiseFreq, p.y * params.poseNoiseFreq, p.z * params.poseNoiseFreq);
-      const poseVal = (poseNoise + 1) * 0.5; // [0,1]
-      if (poseVal < 0.35) poseIndex = 0;
-      else if (poseVal < 0.55) poseIndex = 1;
-      else if (poseVal < 0.75) poseIndex = 2;
-      else poseIndex = 3;
+  // Drop the slots of birds behind the camera
+  if (count < points.count) {
+    for (const [key, value] of Object.entries(birds)) {
+      if (ArrayBuffer.isView(value)) birds[key] = value.subarray(0, count);
     }
-
-    birds.push({
-      sx,
-      sy,
-      depth: v.z,
-      angle,
-      perspScale,
-      poseIndex,
-    });
+    birds.count = count;
   }
+  if (count === 0) return birds;
 
   // Find depth range for normalisation
-  if (birds.length === 0) return [];
-
+  const { depth, scale, opacity, localDensity } = birds;
   let minZ = Infinity, maxZ = -Infinity;
-  for (const b of birds) {
-    if (b.depth < minZ) minZ = b.depth;
-    if (b.depth > maxZ) maxZ = b.depth;
+  for (let i = 0; i < count; i++) {
+    if (depth[i] < minZ) minZ = depth[i];
+    if (depth[i] > maxZ) maxZ = depth[i];
   }
   const zRange = maxZ - minZ || 1;
 
-  // Compute per-bird scale and sort back-to-front
-  for (const b of birds) {
-    const normDepth = (b.depth - minZ) / zRange; // 0 = farthest, 1 = nearest
+  // Compute per-bird scale and opacity
+  const depthCurve = params.depthOpacityCurve || 1.0;
+  for (let i = 0; i < count; i++) {
+    const normDepth = (depth[i] - minZ) / zRange; // 0 = farthest, 1 = nearest
 
     if (projType === 'perspective') {
-      b.scale = birdScale * b.perspScale * 0.5;
+      scale[i] = birdScale * perspScales[i] * 0.5;
     } else {
       // Depth-based scaling for orthographic
       const dScale = 1 - depthScale * (1 - normDepth);
-      b.scale = birdScale * camZoom * 0.5 * dScale;
+      scale[i] = birdScale * camZoom * 0.5 * dScale;
     }
 
     // Opacity from depth with non-linear curve
-    const depthCurve = params.depthOpacityCurve || 1.0;
     const curvedDepth = Math.pow(normDepth, depthCurve);
-    b.opacity = depthOpacity + (1 - depthOpacity) * curvedDepth;
+    opacity[i] = depthOpacity + (1 - depthOpacity) * curvedDepth;
   }
 
-  // Dark band / edge density effect
+  // Optional 2D separation, before density so the dark band sees final positions
+  if (params.relaxEnabled) relaxBirds(birds, params);
+
+  // Dark band / edge density effect (localDensity stays zero when off)
   if (params.darkBandEnabled) {
+    const { sx, sy } = birds;
     const gs = params.darkBandGridSize || 20;
     const cols = Math.ceil(width / gs);
     const rows = Math.ceil(height / gs);
     const grid = new Uint16Array(cols * rows);
 
-    for (const b of birds) {
-      const col = Math.floor(b.sx / gs);
-      const row = Math.floor(b.sy / gs);
+    for (let i = 0; i < count; i++) {
+      const col = Math.floor(sx[i] / gs);
+      const row = Math.floor(sy[i] / gs);
       if (col >= 0 && col < cols && row >= 0 && row < rows) {
         grid[row * cols + col]++;
       }
@@ -163,27 +205,55 @@ export function projectScene(points3d, params) {
       }
     }
 
-    for (const b of birds) {
-      const col = Math.floor(b.sx / gs);
-      const row = Math.floor(b.sy / gs);
+    for (let i = 0; i < count; i++) {
+      const col = Math.floor(sx[i] / gs);
+      const row = Math.floor(sy[i] / gs);
       if (col >= 0 && col < cols && row >= 0 && row < rows) {
-        b.localDensity = smoothDensity(col, row) / maxDensity;
-      } else {
-        b.localDensity = 0;
+        localDensity[i] = smoothDensity(col, row) / maxDensity;
       }
     }
-  } else {
-    for (const b of birds) {
-      b.localDensity = 0;
-    }
   }
 
-  // Sort back-to-front (farthest first → lowest depth first)
-  birds.sort((a, b) => a.depth - b.depth);
+  // Sort back-to-front (farthest first → lowest depth first); the birds stay put
+  const { order } = birds;
+  for (let i = 0; i < count; i++) order[i] = i;
+  order.sort((a, b) => depth[a] - depth[b]);
 
   return birds;
 }
 
+/**
+ * Camera-rotate and project one world point. Returns { sx, sy, depth, perspScale },
+ * or null when a perspective camera has the point behind it.
+ */
+export function projectPoint(p, params) {
+  const { camRotX, camRotY, camRotZ, camZoom, projType, camFOV, width, height } = params;
+  let v = rotateX(p, camRotX);
+  v = rotateY(v, camRotY);
+  v = rotateZ(v, camRotZ);
+
+  if (projType === 'perspective') {
+    const d = v.z + CAM_DIST;
+    if (d <= 0.1) return null;
+    const perspScale = camFOV / d;
+    return { sx: v.x * perspScale + width / 2, sy: v.y * perspScale + height / 2, depth: v.z, perspScale };
+  }
+  // Orthographic
+  return { sx: v.x * camZoom + width / 2, sy: v.y * camZoom + height / 2, depth: v.z, perspScale: 1 };
+}
+
+/**
+ * Inverse of the camera rotation for a screen-space vector, e.g. to turn a
+ * drag of (dx, dy) pixels into a world-space move at a point's depth.
+ */
+export function unprojectVector(dx, dy, params, perspScale = 1) {
+  const s = params.projType === 'perspective' ? perspScale : params.camZoom;
+  let v = { x: dx / s, y: dy / s, z: 0 };
+  v = rotateZ(v, -params.camRotZ);
+  v = rotateY(v, -params.camRotY);
+  v = rotateX(v, -params.camRotX);
+  return v;
+}
 
 /**
  * Simple seeded random for jitter (deterministic per bird index).
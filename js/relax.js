@@ -0,0 +1,172 @@
+// relax.js — Screen-space relaxation: nudge overlapping projected birds apart.
+// Runs on projectScene's output, so the canvas and SVG export see the same positions.
+
+// Bird shapes are ~10 units wide (see shapes.js), so a bird's radius is 5 × its scale
+const SHAPE_RADIUS = 5;
+
+/**
+ * Push birds apart until each pair is at least relaxClearance × (radiusA + radiusB)
+ * apart, for up to relaxIterations passes. Each pair's correction is split so birds
+ * nearer the camera move less than far ones, and no bird ends up more than
+ * relaxMaxShift pixels from its projected position. Deterministic for a given input
+ * order. Moves birds.sx / birds.sy in place and returns `birds`.
+ */
+export function relaxBirds(birds, params) {
+  const n = birds.count;
+  const { scale, depth } = birds;
+  const clearance = Math.max(0, params.relaxClearance);
+  const iterations = Math.max(0, Math.round(params.relaxIterations));
+  const maxShift = Math.max(0, params.relaxMaxShift);
+  if (n < 2 || clearance === 0 || iterations === 0 || maxShift === 0) return birds;
+
+  const ox = new Float64Array(n), oy = new Float64Array(n);   // Projected positions
+  // Working positions at full precision, written back to the birds at the end
+  const sx = Float64Array.from(birds.sx), sy = Float64Array.from(birds.sy);
+  const radius = new Float64Array(n);
+  const mobility = new Float64Array(n);
+  const dx = new Float64Array(n), dy = new Float64Array(n);
+
+  let minZ = Infinity, maxZ = -Infinity, maxR = 0;
+  for (let i = 0; i < n; i++) {
+    ox[i] = sx[i]; oy[i] = sy[i];
+    radius[i] = Math.max(0, scale[i]) * SHAPE_RADIUS * clearance;
+    maxR = Math.max(maxR, radius[i]);
+    minZ = Math.min(minZ, depth[i]); maxZ = Math.max(maxZ, depth[i]);
+  }
+  if (maxR === 0) return birds;
+
+  // Farthest birds move freely, nearest a quarter as much
+  const zRange = maxZ - minZ || 1;
+  for (let i = 0; i < n; i++) {
+    mobility[i] = 1 - 0.75 * (depth[i] - minZ) / zRange;
+  }
+
+  // Push birds i and j apart by half their overlap, split by mobility; false if they
+  // don't overlap
+  const separate = (i, j) => {
+    if (j < i) { const t = i; i = j; j = t; }
+    const minDist = radius[i] + radius[j];
+    let vx = sx[j] - sx[i], vy = sy[j] - sy[i];
+    const distSq = vx * vx + vy * vy;
+    if (distSq >= minDist * minDist) return false;
+
+    let dist = Math.sqrt(distSq);
+    const overlap = minDist - dist;
+    if (dist < 1e-6) {
+      // Coincident: separate along a direction fixed by the pair's indices
+      const angle = (i * 0.618034 + j * 0.414214) * Math.PI * 2;
+      vx = Math.cos(angle); vy = Math.sin(angle); dist = 1;
+    }
+    const total = mobility[i] + mobility[j];
+    const push = overlap * 0.5 / dist;
+    const wa = mobility[i] / total, wb = mobility[j] / total;
+    dx[i] -= vx * push * wa; dy[i] -= vy * push * wa;
+    dx[j] += vx * push * wb; dy[j] += vy * push * wb;
+    return true;
+  };
+
+  const grid = createGrid(n);
+  for (let iter = 0; iter < iterations; iter++) {
+    dx.fill(0);
+    dy.fill(0);
+    let overlaps = 0;
+
+    // Cells are at least one bird diameter wide, so overlapping birds share a cell or
+    // neighbour one; each pair of neighbouring cells is visited once
+    fillGrid(grid, sx, sy, n, Math.max(1, maxR * 2));
+    const { cols, rows, cellStart, cellItems } = grid;
+    for (let cy = 0; cy < rows; cy++) {
+      for (let cx = 0; cx < cols; cx++) {
+        const cell = cy * cols + cx;
+        const start = cellStart[cell], end = cellStart[cell + 1];
+        for (let a = start; a < end; a++) {
+          for (let b = a + 1; b < end; b++) {
+            if (separate(cellItems[a], cellItems[b])) overlaps++;
+          }
+        }
+        for (const [ox, oy] of FORWARD_NEIGHBOURS) {
+          const nx = cx + ox, ny = cy + oy;
+          if (nx < 0 || nx >= cols || ny >= rows) continue;
+          const other = ny * cols + nx;
+          for (let a = start; a < end; a++) {
+            for (let b = cellStart[other]; b < cellStart[other + 1]; b++) {
+              if (separate(cellItems[a], cellItems[b])) overlaps++;
+            }
+          }
+        }
+      }
+    }
+    if (overlaps === 0) break;
+
+    for (let i = 0; i < n; i++) {
+      let ex = sx[i] + dx[i] - ox[i], ey = sy[i] + dy[i] - oy[i];
+      const shift = Math.sqrt(ex * ex + ey * ey);
+      if (shift > maxShift) { ex *= maxShift / shift; ey *= maxShift / shift; }
+      sx[i] = ox[i] + ex;
+      sy[i] = oy[i] + ey;
+    }
+  }
+
+  birds.sx.set(sx);
+  birds.sy.set(sy);
+  return birds;
+}
+
+// Uniform grid over the birds' bounds, stored flat: the birds in cell c are
+// cellItems[cellStart[c] .. cellStart[c + 1]), in index order. Buffers are reused
+// across iterations and only regrown when the grid needs more cells.
+function createGrid(n) {
+  return {
+    cols: 0, rows: 0,
+    cellOf: new Int32Array(n),
+    cellItems: new Int32Array(n),
+    cellStart: new Int32Array(0),
+  };
+}
+
+// Half of the 8-neighbourhood, so each pair of adjacent cells is visited from one side
+const FORWARD_NEIGHBOURS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Cells never exceed this many per bird; a wider spread coarsens the grid instead
+const MAX_CELLS_PER_BIRD = 4;
+
+function fillGrid(grid, sx, sy, n, cellSize) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    if (!Number.isFinite(sx[i]) || !Number.isFinite(sy[i])) continue;
+    minX = Math.min(minX, sx[i]); maxX = Math.max(maxX, sx[i]);
+    minY = Math.min(minY, sy[i]); maxY = Math.max(maxY, sy[i]);
+  }
+  const maxCells = Math.max(1024, n * MAX_CELLS_PER_BIRD);
+  let x0 = 0, y0 = 0, cols = 0, rows = 0;
+  while (minX <= maxX) {
+    // Cells aligned to multiples of cellSize, so the split doesn't depend on the bounds
+    x0 = Math.floor(minX / cellSize); y0 = Math.floor(minY / cellSize);
+    cols = Math.floor(maxX / cellSize) - x0 + 1;
+    rows = Math.floor(maxY / cellSize) - y0 + 1;
+    if (cols * rows <= maxCells) break;
+    cellSize *= 2;
+  }
+
+  const cells = cols * rows;
+  if (grid.cellStart.length < cells + 1) grid.cellStart = new Int32Array(cells + 1);
+  const { cellOf, cellStart, cellItems } = grid;
+  cellStart.fill(0, 0, cells + 1);
+
+  // Counting sort: tally each cell, prefix-sum into start offsets, then place.
+  // Birds off at infinity (cell -1) are left out of the grid.
+  for (let i = 0; i < n; i++) {
+    const finite = Number.isFinite(sx[i]) && Number.isFinite(sy[i]);
+    const cell = finite ? (Math.floor(sy[i] / cellSize) - y0) * cols + (Math.floor(sx[i] / cellSize) - x0) : -1;
+    cellOf[i] = cell;
+    if (cell >= 0) cellStart[cell + 1]++;
+  }
+  for (let c = 0; c < cells; c++) cellStart[c + 1] += cellStart[c];
+  const fill = cellStart.slice(0, cells);
+  for (let i = 0; i < n; i++) {
+    if (cellOf[i] >= 0) cellItems[fill[cellOf[i]]++] = i;
+  }
+
+  grid.cols = cols;
+  grid.rows = rows;
+}
@@ -1,10 +1,11 @@
 // renderer.js — Canvas 2D rendering of projected bird data.
 
 import { SHAPES, getPath2D, getPosePath2D } from './shapes.js';
+import { projectPoint } from './projection.js';
 
 /**
- * Render projected birds to a Canvas 2D context.
- * Birds array must be pre-sorted back-to-front (by projectScene).
+ * Render projected birds (from projectScene) to a Canvas 2D context, back-to-front
+ * in their `order`.
  */
 export function render(ctx, projectedBirds, params) {
   const { width, height, shapeKey, darkMode } = params;
@@ -24,25 +25,27 @@ export function render(ctx, projectedBirds, params) {
   ctx.lineJoin = 'round';
   ctx.lineWidth = 1;
 
-  for (let i = 0; i < projectedBirds.length; i++) {
-    const bird = projectedBirds[i];
+  const { order, sx, sy, angle, scale, opacity, localDensity, poseIndex } = projectedBirds;
+  const usePose = params.poseVariation && shapeKey === 'starling';
 
-    if (bird.scale <= 0.01) continue; // Too small to see
+  for (let k = 0; k < projectedBirds.count; k++) {
+    const i = order[k];
+    const s = scale[i];
+
+    if (s <= 0.01) continue; // Too small to see
 
     // Dark band opacity boost
     const darkBoost = params.darkBandEnabled
-      ? 1.0 + params.darkBandStrength * (bird.localDensity || 0)
+      ? 1.0 + params.darkBandStrength * localDensity[i]
       : 1.0;
 
-    ctx.save();
-    ctx.globalAlpha = Math.min(1.0, bird.opacity * darkBoost);
-    ctx.translate(bird.sx, bird.sy);
-    ctx.rotate(bird.angle);
-    ctx.scale(bird.scale, bird.scale);
+    // Translate, rotate and scale in one step (cheaper than save/restore per bird)
+    const c = Math.cos(angle[i]), sn = Math.sin(angle[i]);
+    ctx.globalAlpha = Math.min(1.0, opacity[i] * darkBoost);
+    ctx.setTransform(c * s, sn * s, -sn * s, c * s, sx[i], sy[i]);
 
     // Select path: pose variation or default
-    const usePose = params.poseVariation && shapeKey === 'starling' && bird.poseIndex !== undefined;
-    const drawPath = usePose ? getPosePath2D(bird.poseIndex) : path;
+    const drawPath = usePose ? getPosePath2D(poseIndex[i]) : path;
     const drawFallback = !drawPath;
 
     if (drawFallback) {
@@ -60,7 +63,134 @@ export function render(ctx, projectedBirds, params) {
       ctx.strokeStyle = strokeColor;
       ctx.stroke(drawPath);
     }
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * Draw on-canvas handles from applyDeformers' gizmos: the deformer being edited
+ * at full strength, and every other gizmo faintly when params.showGizmos is on.
+ * `highlight` is the index of the edited gizmo's handle under the pointer, if any.
+ */
+export function renderGizmos(ctx, gizmos, params, activeDeformer, highlight = -1) {
+  const color = params.darkMode ? '#ff9f43' : '#e8590c';
 
+  for (const gizmo of gizmos) {
+    const active = gizmo.deformer === activeDeformer;
+    if (!active && !params.showGizmos) continue;
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = active ? 0.6 : 0.25;
+    if (gizmo.type === 'lattice') drawLatticeCage(ctx, gizmo, params);
+    if (gizmo.type === 'forces') drawForces(ctx, gizmo, params);
+    if (gizmo.type === 'path') drawPath(ctx, gizmo, params);
+
+    // Drag handles
+    ctx.globalAlpha = active ? 1 : 0.35;
+    gizmo.points.forEach((p, i) => {
+      const s = projectPoint(p, params);
+      if (!s) return;
+      ctx.beginPath();
+      ctx.arc(s.sx, s.sy, active && i === highlight ? 6 : 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
     ctx.restore();
   }
 }
+
+// Cage edges between neighbouring control points
+function drawLatticeCage(ctx, gizmo, params) {
+  const { resX, resY, resZ } = gizmo.res;
+  const screen = gizmo.points.map(p => projectPoint(p, params));
+  const index = (i, j, k) => i + resX * (j + resY * k);
+
+  ctx.beginPath();
+  for (let k = 0; k < resZ; k++) {
+    for (let j = 0; j < resY; j++) {
+      for (let i = 0; i < resX; i++) {
+        const a = screen[index(i, j, k)];
+        if (!a) continue;
+        const neighbours = [
+          i + 1 < resX ? screen[index(i + 1, j, k)] : null,
+          j + 1 < resY ? screen[index(i, j + 1, k)] : null,
+          k + 1 < resZ ? screen[index(i, j, k + 1)] : null,
+        ];
+        for (const b of neighbours) {
+          if (!b) continue;
+          ctx.moveTo(a.sx, a.sy);
+          ctx.lineTo(b.sx, b.sy);
+        }
+      }
+    }
+  }
+  ctx.stroke();
+}
+
+// Sampled spline, with the control polygon dashed behind it
+function drawPath(ctx, gizmo, params) {
+  const polyline = (pts) => {
+    ctx.beginPath();
+    let drawing = false;
+    for (const p of pts) {
+      const s = projectPoint(p, params);
+      if (!s) { drawing = false; continue; }
+      if (drawing) ctx.lineTo(s.sx, s.sy); else ctx.moveTo(s.sx, s.sy);
+      drawing = true;
+    }
+    ctx.stroke();
+  };
+  ctx.setLineDash([4, 4]);
+  polyline(gizmo.points);
+  ctx.setLineDash([]);
+  polyline(gizmo.curve);
+}
+
+// Influence radius (dashed, drawn at the force's depth), line segment, and a kind glyph
+function drawForces(ctx, gizmo, params) {
+  for (const f of gizmo.forces) {
+    const c = projectPoint(f.center, params);
+    if (!c) continue;
+    const screenR = f.radius * (params.projType === 'perspective' ? c.perspScale : params.camZoom);
+
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(c.sx, c.sy, screenR, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (f.half > 0) {
+      const a = projectPoint({
+        x: f.center.x - f.axis.x * f.half, y: f.center.y - f.axis.y * f.half, z: f.center.z - f.axis.z * f.half,
+      }, params);
+      const b = projectPoint({
+        x: f.center.x + f.axis.x * f.half, y: f.center.y + f.axis.y * f.half, z: f.center.z + f.axis.z * f.half,
+      }, params);
+      if (a && b) {
+        ctx.beginPath();
+        ctx.moveTo(a.sx, a.sy);
+        ctx.lineTo(b.sx, b.sy);
+        ctx.stroke();
+      }
+    }
+
+    ctx.beginPath();
+    if (f.kind === 'vortex') {
+      ctx.arc(c.sx, c.sy, 10, 0, Math.PI * 1.5);
+    } else {
+      // Arrows pointing in (attract) or out (repel)
+      const inward = f.kind === 'attract';
+      for (let n = 0; n < 4; n++) {
+        const ang = n * Math.PI / 2;
+        const near = inward ? 8 : 14, far = inward ? 14 : 8;
+        ctx.moveTo(c.sx + Math.cos(ang) * far, c.sy + Math.sin(ang) * far);
+        ctx.lineTo(c.sx + Math.cos(ang) * near, c.sy + Math.sin(ang) * near);
+      }
+    }
+    ctx.stroke();
+  }
+}
@@ -0,0 +1,248 @@
+// sdf.js — Signed-distance-field primitives and CSG composition for the 'sdf' shape type.
+// A primitive list compiles to a single distance function (negative inside, positive outside).
+
+import { catmullRomPoint } from './spline.js';
+
+export const SDF_PRIMITIVE_TYPES = ['ellipsoid', 'torus', 'capsule', 'box', 'cylinder', 'cone', 'swept'];
+export const SDF_OPS = ['union', 'subtract', 'intersect', 'blend'];
+
+/**
+ * Default settings for a new primitive of the given type.
+ * size* meaning per type: ellipsoid radii; torus major/minor; capsule radius/-/half-length;
+ * box half-extents; cylinder radii/half-height; cone bottom radius/top radius/half-height;
+ * swept tube radius (multiplied by each spine point's `r`).
+ */
+export function defaultPrimitive(type = 'ellipsoid') {
+  const sizes = {
+    ellipsoid: [40, 30, 60],
+    torus: [50, 12, 12],
+    capsule: [15, 15, 50],
+    box: [30, 30, 30],
+    cylinder: [30, 30, 50],
+    cone: [40, 5, 60],
+    swept: [15, 15, 15],
+  };
+  const [sizeX, sizeY, sizeZ] = sizes[type] || sizes.ellipsoid;
+  return {
+    type, op: 'union', blend: 15,
+    x: 0, y: 0, z: 0,
+    rotX: 0, rotY: 0, rotZ: 0,
+    sizeX, sizeY, sizeZ,
+  };
+}
+
+/**
+ * Compile a primitive list into { distance(x, y, z), bounds }.
+ * The first primitive's op is ignored; each later primitive combines with the result so far.
+ * `spine` / `closed` describe the swept-tube path (shared with the swept shape type).
+ */
+export function compileSDF(primitives, spine, closed) {
+  const compiled = primitives.map(prim => compilePrimitive(prim, spine, closed));
+
+  function distance(x, y, z) {
+    let d = Infinity;
+    for (let i = 0; i < compiled.length; i++) {
+      const c = compiled[i];
+      const di = c.distance(x, y, z);
+      if (i === 0) { d = di; continue; }
+      switch (c.op) {
+        case 'subtract': d = Math.max(d, -di); break;
+        case 'intersect': d = Math.max(d, di); break;
+        case 'blend': d = smoothMin(d, di, c.blend); break;
+        default: d = Math.min(d, di);
+      }
+    }
+    return d;
+  }
+
+  // Conservative world AABB: union of additive primitives' bounding spheres
+  const bounds = {
+    minX: Infinity, minY: Infinity, minZ: Infinity,
+    maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity,
+  };
+  compiled.forEach((c, i) => {
+    if (i > 0 && (c.op === 'subtract' || c.op === 'intersect')) return;
+    const r = c.boundRadius + (c.op === 'blend' ? c.blend : 0);
+    bounds.minX = Math.min(bounds.minX, c.x - r); bounds.maxX = Math.max(bounds.maxX, c.x + r);
+    bounds.minY = Math.min(bounds.minY, c.y - r); bounds.maxY = Math.max(bounds.maxY, c.y + r);
+    bounds.minZ = Math.min(bounds.minZ, c.z - r); bounds.maxZ = Math.max(bounds.maxZ, c.z + r);
+  });
+
+  return { distance, bounds };
+}
+
+/**
+ * Polynomial smooth minimum (k = blend radius in world units).
+ */
+export function smoothMin(a, b, k) {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(0, Math.min(1, 0.5 + 0.5 * (b - a) / k));
+  return b + (a - b) * h - k * h * (1 - h);
+}
+
+function compilePrimitive(prim, spine, closed) {
+  const sx = Math.max(0.01, prim.sizeX);
+  const sy = Math.max(0.01, prim.sizeY);
+  const sz = Math.max(0.01, prim.sizeZ);
+
+  let local;
+  let boundRadius;
+
+  switch (prim.type) {
+    case 'torus':
+      local = (x, y, z) => {
+        const q = Math.sqrt(x * x + y * y) - sx;
+        return Math.sqrt(q * q + z * z) - sy;
+      };
+      boundRadius = sx + sy;
+      break;
+    case 'capsule':
+      local = (x, y, z) => {
+        const cz = Math.max(-sz, Math.min(sz, z));
+        return Math.sqrt(x * x + y * y + (z - cz) * (z - cz)) - sx;
+      };
+      boundRadius = sz + sx;
+      break;
+    case 'box':
+      local = (x, y, z) => {
+        const qx = Math.abs(x) - sx, qy = Math.abs(y) - sy, qz = Math.abs(z) - sz;
+        const ox = Math.max(qx, 0), oy = Math.max(qy, 0), oz = Math.max(qz, 0);
+        return Math.sqrt(ox * ox + oy * oy + oz * oz) + Math.min(Math.max(qx, qy, qz), 0);
+      };
+      boundRadius = Math.sqrt(sx * sx + sy * sy + sz * sz);
+      break;
+    case 'cylinder':
+      local = cylinderSDF(sx, sy, sz);
+      boundRadius = Math.sqrt(Math.max(sx, sy) ** 2 + sz * sz);
+      break;
+    case 'cone':
+      local = cappedConeSDF(sz, sx, sy);
+      boundRadius = Math.sqrt(Math.max(sx, sy) ** 2 + sz * sz);
+      break;
+    case 'swept': {
+      const tube = sweptTube(spine, closed, sx);
+      local = tube.distance;
+      boundRadius = tube.boundRadius;
+      break;
+    }
+    default:
+      // Ellipsoid (bound-corrected approximation)
+      local = (x, y, z) => {
+        const k0 = Math.sqrt((x / sx) ** 2 + (y / sy) ** 2 + (z / sz) ** 2);
+        const k1 = Math.sqrt((x / (sx * sx)) ** 2 + (y / (sy * sy)) ** 2 + (z / (sz * sz)) ** 2);
+        if (k1 === 0) return -Math.min(sx, sy, sz);
+        return k0 * (k0 - 1) / k1;
+      };
+      boundRadius = Math.max(sx, sy, sz);
+  }
+
+  // World → local: translate, then undo Z, Y, X rotations
+  const cx = Math.cos(-(prim.rotX || 0)), snx = Math.sin(-(prim.rotX || 0));
+  const cy = Math.cos(-(prim.rotY || 0)), sny = Math.sin(-(prim.rotY || 0));
+  const cz = Math.cos(-(prim.rotZ || 0)), snz = Math.sin(-(prim.rotZ || 0));
+
+  function distance(x, y, z) {
+    let px = x - prim.x, py = y - prim.y, pz = z - prim.z;
+    let tx = px * cz - py * snz; py = px * snz + py * cz; px = tx;
+    tx = px * cy + pz * sny; pz = -px * sny + pz * cy; px = tx;
+    const ty = py * cx - pz * snx; pz = py * snx + pz * cx; py = ty;
+    return local(px, py, pz);
+  }
+
+  return {
+    distance,
+    op: prim.op,
+    blend: Math.max(0, prim.blend || 0),
+    x: prim.x, y: prim.y, z: prim.z,
+    boundRadius,
+  };
+}
+
+// --- Analytic primitives (local space, axis along Z) ---
+
+/**
+ * Capped cylinder with an elliptical cross-section (radii rx, ry) and half-height h.
+ */
+export function cylinderSDF(rx, ry, h) {
+  const minR = Math.min(rx, ry);
+  return (x, y, z) => {
+    // Bound-corrected 2D ellipse distance
+    const k0 = Math.sqrt((x / rx) ** 2 + (y / ry) ** 2);
+    const k1 = Math.sqrt((x / (rx * rx)) ** 2 + (y / (ry * ry)) ** 2);
+    const dr = k1 === 0 ? -minR : k0 * (k0 - 1) / k1;
+    const dz = Math.abs(z) - h;
+    const ox = Math.max(dr, 0), oz = Math.max(dz, 0);
+    return Math.min(Math.max(dr, dz), 0) + Math.sqrt(ox * ox + oz * oz);
+  };
+}
+
+/**
+ * Capped cone (frustum) with half-height h, radius r1 at z = -h and r2 at z = +h.
+ */
+export function cappedConeSDF(h, r1, r2) {
+  const k2x = r2 - r1, k2y = 2 * h;
+  const k2Sq = k2x * k2x + k2y * k2y;
+  return (x, y, z) => {
+    const qx = Math.sqrt(x * x + y * y), qy = z;
+    const cax = qx - Math.min(qx, qy < 0 ? r1 : r2);
+    const cay = Math.abs(qy) - h;
+    const t = Math.max(0, Math.min(1, ((r2 - qx) * k2x + (h - qy) * k2y) / k2Sq));
+    const cbx = qx - r2 + k2x * t;
+    const cby = qy - h + k2y * t;
+    const s = cbx < 0 && cay < 0 ? -1 : 1;
+    return s * Math.sqrt(Math.min(cax * cax + cay * cay, cbx * cbx + cby * cby));
+  };
+}
+
+/**
+ * Superquadric with radii (rx, ry, rz) and exponents e1 (north–south) and e2 (east–west).
+ * Exponents near 0 give a box, 1 an ellipsoid, 2 an octahedron, above 2 a pinched star.
+ * Returns the radial distance to the surface along the ray from the centre —
+ * approximate, but the right sign and zero set.
+ */
+export function superquadricSDF(rx, ry, rz, e1, e2) {
+  const a = Math.max(0.05, e1), b = Math.max(0.05, e2);
+  const minR = Math.min(rx, ry, rz);
+  return (x, y, z) => {
+    const xy = Math.pow(Math.abs(x / rx), 2 / b) + Math.pow(Math.abs(y / ry), 2 / b);
+    const f = Math.pow(xy, b / a) + Math.pow(Math.abs(z / rz), 2 / a);
+    const len = Math.sqrt(x * x + y * y + z * z);
+    if (f === 0) return -minR;
+    const scale = Math.pow(f, a / 2); // Radial scale factor: 1 on the surface
+    return len * (1 - 1 / scale);
+  };
+}
+
+/**
+ * Tube around the spine, sampled to a polyline. Radius = `radius` × interpolated spine `r`.
+ */
+function sweptTube(spine, closed, radius) {
+  const SEGMENTS = 64;
+  const samples = [];
+  for (let i = 0; i <= SEGMENTS; i++) {
+    const p = catmullRomPoint(spine, i / SEGMENTS, closed);
+    samples.push({ x: p.x, y: p.y, z: p.z, r: radius * Math.max(0, p.r) });
+  }
+
+  let boundRadius = 0;
+  for (const s of samples) {
+    boundRadius = Math.max(boundRadius, Math.sqrt(s.x * s.x + s.y * s.y + s.z * s.z) + s.r);
+  }
+
+  function distance(x, y, z) {
+    let best = Infinity;
+    for (let i = 0; i < SEGMENTS; i++) {
+      const a = samples[i], b = samples[i + 1];
+      const abx = b.x - a.x, aby = b.y - a.y, abz = b.z - a.z;
+      const apx = x - a.x, apy = y - a.y, apz = z - a.z;
+      const lenSq = abx * abx + aby * aby + abz * abz || 1;
+      const t = Math.max(0, Math.min(1, (apx * abx + apy * aby + apz * abz) / lenSq));
+      const dx = apx - abx * t, dy = apy - aby * t, dz = apz - abz * t;
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz) - (a.r + (b.r - a.r) * t);
+      if (d < best) best = d;
+    }
+    return best;
+  }
+
+  return { distance, boundRadius };
+}
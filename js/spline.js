@@ -0,0 +1,58 @@
+// spline.js — Catmull-Rom spline evaluation for open and closed control polygons.
+// Control points are {x, y, z} objects; an optional `r` channel is interpolated too.
+
+/**
+ * Point on the spline at t in [0,1]. Closed splines wrap the last segment back to the start.
+ */
+export function catmullRomPoint(spine, t, closed = false) {
+  const count = spine.length;
+  const segments = closed ? count : count - 1;
+  const f = t * segments;
+  const i = Math.max(0, Math.min(Math.floor(f), segments - 1));
+  const local = f - i;
+
+  const at = closed
+    ? k => spine[((k % count) + count) % count]
+    : k => spine[Math.max(0, Math.min(count - 1, k))];
+
+  const p0 = at(i - 1);
+  const p1 = at(i);
+  const p2 = at(i + 1);
+  const p3 = at(i + 2);
+
+  return {
+    x: crInterp(p0.x, p1.x, p2.x, p3.x, local),
+    y: crInterp(p0.y, p1.y, p2.y, p3.y, local),
+    z: crInterp(p0.z, p1.z, p2.z, p3.z, local),
+    r: crInterp(radiusOf(p0), radiusOf(p1), radiusOf(p2), radiusOf(p3), local),
+  };
+}
+
+/**
+ * Unnormalised tangent at t, by central difference.
+ */
+export function catmullRomTangent(spine, t, closed = false) {
+  const eps = 0.001;
+  const a = catmullRomPoint(spine, closed ? wrap01(t - eps) : Math.max(0, t - eps), closed);
+  const b = catmullRomPoint(spine, closed ? wrap01(t + eps) : Math.min(1, t + eps), closed);
+  return { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+}
+
+function radiusOf(p) {
+  return p.r === undefined ? 1 : p.r;
+}
+
+function wrap01(t) {
+  return t - Math.floor(t);
+}
+
+function crInterp(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    (2 * p1) +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+}
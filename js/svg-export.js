@@ -15,8 +15,8 @@ function r2(n) {
 }
 
 /**
- * Generate an SVG string from projected bird data (already depth-sorted).
- * @param {Array} projectedBirds - [{sx, sy, angle, scale, opacity, localDensity, poseIndex}, ...]
+ * Generate an SVG string from projected bird data, drawn back-to-front in its `order`.
+ * @param {object} projectedBirds - From projectScene: {count, order, sx, sy, angle, scale, localDensity, poseIndex}
  * @param {object} params - Shared params (shapeKey, width, height, poseVariation, darkBandEnabled, darkBandStrength)
  * @param {object} options - Export options
  */
@@ -52,10 +52,11 @@ export function generateSVG(projectedBirds, params, options = {}) {
     : 'stroke="none"';
 
   // Precompute max scale for depth-varying stroke width
+  const { order, sx, sy, angle, scale, localDensity, poseIndex } = projectedBirds;
   let maxScale = 0;
   if (depthStroke) {
-    for (const b of projectedBirds) {
-      if (b.scale > maxScale) maxScale = b.scale;
+    for (let i = 0; i < projectedBirds.count; i++) {
+      if (scale[i] > maxScale) maxScale = scale[i];
     }
     maxScale = maxScale || 1;
   }
@@ -67,18 +68,20 @@ export function generateSVG(projectedBirds, params, options = {}) {
   svg += `<g id="murmuration" ${fillAttr} ${strokeAttr}`;
   svg += ` stroke-linecap="round" stroke-linejoin="round">\n`;
 
-  for (const bird of projectedBirds) {
-    if (bird.scale <= 0.01) continue;
+  const usePose = params.poseVariation && params.shapeKey === 'starling';
+  for (let k = 0; k < projectedBirds.count; k++) {
+    const i = order[k];
+    if (scale[i] <= 0.01) continue;
 
-    const x = r2(bird.sx);
-    const y = r2(bird.sy);
-    const angle = r2(bird.angle * 180 / Math.PI);
-    const s = r2(bird.scale);
+    const x = r2(sx[i]);
+    const y = r2(sy[i]);
+    const deg = r2(angle[i] * 180 / Math.PI);
+    const s = r2(scale[i]);
+    const density = localDensity[i];
 
     // Select path based on pose
-    const usePose = params.poseVariation && params.shapeKey === 'starling' && bird.poseIndex !== undefined;
     const birdPath = usePose
-      ? SHAPES[getPoseShapeKey(bird.poseIndex)].path
+      ? SHAPES[getPoseShapeKey(poseIndex[i])].path
       : defaultPath;
 
     // Compute per-bird stroke width overrides
@@ -88,23 +91,23 @@ export function generateSVG(projectedBirds, params, options = {}) {
 
       // Depth-based stroke width
       if (depthStroke) {
-        birdSW = strokeWidth * (bird.scale / maxScale);
+        birdSW = strokeWidth * (scale[i] / maxScale);
       }
 
       // Dark band density boost
-      if (params.darkBandEnabled && bird.localDensity > 0) {
-        birdSW *= 1.0 + params.darkBandStrength * bird.localDensity;
+      if (params.darkBandEnabled && density > 0) {
+        birdSW *= 1.0 + params.darkBandStrength * density;
       }
 
       birdSW = Math.max(0.1, r2(birdSW));
 
       // Only override if different from group default
-      if (depthStroke || (params.darkBandEnabled && bird.localDensity > 0)) {
+      if (depthStroke || (params.darkBandEnabled && density > 0)) {
         swAttr = ` stroke-width="${birdSW}"`;
       }
     }
 
-    svg += `  <g transform="translate(${x},${y}) rotate(${angle}) scale(${s})"${swAttr}>\n`;
+    svg += `  <g transform="translate(${x},${y}) rotate(${deg}) scale(${s})"${swAttr}>\n`;
     svg += `    <path d="${birdPath}"/>\n`;
     svg += `  </g>\n`;
   }
@@ -1,6 +1,132 @@
 // ui.js — Tweakpane parameter controls for 3D sculptural murmuration tool.
 
 import { BUILT_IN_PRESETS } from './presets.js';
+import { defaultPrimitive, SDF_PRIMITIVE_TYPES, SDF_OPS } from './sdf.js';
+import { defaultSubFlock } from './generate.js';
+import { ATTRACTOR_TYPES } from './attractors.js';
+import {
+  DEFORMER_TYPES, MASK_TYPES, FORCE_KINDS, LATTICE_RES_RANGE,
+  defaultDeformer, defaultMask, defaultForce, defaultWaveComponent, resizeLattice, latticeRes,
+} from './deformers.js';
+
+const SHAPE_TYPE_OPTIONS = {
+  Ellipsoid: 'ellipsoid', Sphere: 'sphere', Torus: 'torus', 'Swept Curve': 'swept',
+  Cylinder: 'cylinder', Funnel: 'funnel', Helix: 'helix', Superquadric: 'superquadric',
+  'Möbius Band': 'mobius', Attractor: 'attractor', Mesh: 'mesh', 'SDF Composer': 'sdf', Outline: 'outline', Boids: 'boids',
+  'Imported Points': 'points',
+};
+
+// Types generateCloud can build (imported points bypass it, so can't seed boids or sub-flocks)
+const GENERATED_SHAPE_OPTIONS = Object.fromEntries(
+  Object.entries(SHAPE_TYPE_OPTIONS).filter(([, type]) => type !== 'points'));
+
+const AXIS_OPTIONS = { X: 'x', Y: 'y', Z: 'z' };
+
+const NOISE_BASIS_OPTIONS = {
+  Simplex: 'simplex', Value: 'value',
+  'Cellular F1': 'cellularF1', 'Cellular F2': 'cellularF2', 'Cellular F2−F1': 'cellularF2F1',
+  Ridged: 'ridged', Billow: 'billow',
+};
+
+// Slider / dropdown options for each deformer type's settings
+const DEFORMER_SETTING_BINDINGS = {
+  noise: [
+    ['amplitude', { min: 0, max: 100, step: 1, label: 'Amplitude' }],
+    ['frequency', { min: 0.001, max: 0.15, step: 0.001, label: 'Frequency' }],
+    ['basis', { options: NOISE_BASIS_OPTIONS, label: 'Basis' }],
+    ['octaves', { min: 1, max: 8, step: 1, label: 'Octaves' }],
+    ['persistence', { min: 0.1, max: 0.9, step: 0.05, label: 'Persistence' }],
+    ['lacunarity', { min: 1.5, max: 3.5, step: 0.1, label: 'Lacunarity' }],
+    ['offsetX', { min: -300, max: 300, step: 0.5, label: 'Offset X' }],
+    ['offsetY', { min: -300, max: 300, step: 0.5, label: 'Offset Y' }],
+    ['offsetZ', { min: -300, max: 300, step: 0.5, label: 'Offset Z' }],
+    ['warpStrength', { min: 0, max: 150, step: 1, label: 'Warp Strength' }],
+    ['warpFrequency', { min: 0.001, max: 0.05, step: 0.001, label: 'Warp Frequency' }],
+    ['warpIterations', { min: 0, max: 4, step: 1, label: 'Warp Iterations' }],
+  ],
+  twist: [
+    ['amount', { min: -3, max: 3, step: 0.05, label: 'Amount' }],
+    ['axis', { options: AXIS_OPTIONS, label: 'Axis' }],
+  ],
+  taper: [
+    ['start', { min: 0.1, max: 3, step: 0.05, label: 'Start Scale' }],
+    ['end', { min: 0.0, max: 3, step: 0.05, label: 'End Scale' }],
+    ['axis', { options: AXIS_OPTIONS, label: 'Axis' }],
+  ],
+  bend: [
+    ['angle', { min: -3, max: 3, step: 0.05, label: 'Angle' }],
+    ['axis', { options: AXIS_OPTIONS, label: 'Axis' }],
+  ],
+  // Sine components get their own list (see addWaveControls)
+  wave: [
+    ['mode', { options: { Linear: 'linear', 'Radial Ripple': 'radial' }, label: 'Mode' }],
+    ['axis', { options: AXIS_OPTIONS, label: 'Axis' }],
+    ['direction', { options: { ...AXIS_OPTIONS, 'Along Wave': 'along' }, label: 'Displace' }],
+    ['centerX', { min: -300, max: 300, step: 1, label: 'Ripple Center X' }],
+    ['centerY', { min: -300, max: 300, step: 1, label: 'Ripple Center Y' }],
+    ['centerZ', { min: -300, max: 300, step: 1, label: 'Ripple Center Z' }],
+    ['envelopeStart', { min: 0, max: 2, step: 0.05, label: 'Envelope Start' }],
+    ['envelopeEnd', { min: 0, max: 2, step: 0.05, label: 'Envelope End' }],
+  ],
+  // Resolution and control point offsets get their own controls (see addLatticeControls)
+  lattice: [
+    ['interpolation', { options: { 'B-Spline': 'bspline', Bernstein: 'bernstein' }, label: 'Interpolation' }],
+  ],
+  forces: [], // See addForceControls
+  // Control points get their own list (see addPathControls)
+  path: [
+    ['axis', { options: AXIS_OPTIONS, label: 'Cloud Axis' }],
+    ['closed', { label: 'Closed Loop' }],
+    ['start', { min: 0, max: 1, step: 0.01, label: 'Path Start' }],
+    ['end', { min: 0, max: 1, step: 0.01, label: 'Path End' }],
+    ['scaleStart', { min: 0, max: 3, step: 0.05, label: 'Scale Start' }],
+    ['scaleEnd', { min: 0, max: 3, step: 0.05, label: 'Scale End' }],
+    ['rollStart', { min: -Math.PI * 4, max: Math.PI * 4, step: 0.05, label: 'Roll Start' }],
+    ['rollEnd', { min: -Math.PI * 4, max: Math.PI * 4, step: 0.05, label: 'Roll End' }],
+  ],
+};
+
+const FORCE_BINDINGS = [
+  ['shape', { options: { Point: 'point', Line: 'line' }, label: 'Shape' }],
+  ['x', { min: -300, max: 300, step: 1, label: 'X' }],
+  ['y', { min: -300, max: 300, step: 1, label: 'Y' }],
+  ['z', { min: -300, max: 300, step: 1, label: 'Z' }],
+  ['axis', { options: AXIS_OPTIONS, label: 'Axis' }],
+  ['length', { min: 0, max: 400, step: 1, label: 'Line Length' }],
+  ['strength', { min: -100, max: 200, step: 1, label: 'Strength' }],
+  ['radius', { min: 1, max: 300, step: 1, label: 'Radius' }],
+  ['falloff', { min: 0.25, max: 6, step: 0.05, label: 'Falloff' }],
+];
+
+// Mask settings, and the mask types each one applies to
+const MASK_BINDINGS = [
+  ['x', { min: -300, max: 300, step: 1, label: 'Center X' }, ['sphere', 'box']],
+  ['y', { min: -300, max: 300, step: 1, label: 'Center Y' }, ['sphere', 'box']],
+  ['z', { min: -300, max: 300, step: 1, label: 'Center Z' }, ['sphere', 'box']],
+  ['radius', { min: 0, max: 300, step: 1, label: 'Radius' }, ['sphere']],
+  ['sizeX', { min: 0, max: 300, step: 1, label: 'Size X' }, ['box']],
+  ['sizeY', { min: 0, max: 300, step: 1, label: 'Size Y' }, ['box']],
+  ['sizeZ', { min: 0, max: 300, step: 1, label: 'Size Z' }, ['box']],
+  ['falloff', { min: 0, max: 200, step: 1, label: 'Falloff' }, ['sphere', 'box']],
+  ['axis', { options: AXIS_OPTIONS, label: 'Axis' }, ['gradient']],
+  ['start', { min: 0, max: 1, step: 0.01, label: 'Start' }, ['gradient']],
+  ['end', { min: 0, max: 1, step: 0.01, label: 'End' }, ['gradient']],
+  ['frequency', { min: 0.001, max: 0.1, step: 0.001, label: 'Frequency' }, ['noise']],
+  ['threshold', { min: -1, max: 1, step: 0.01, label: 'Threshold' }, ['noise']],
+  ['softness', { min: 0, max: 1, step: 0.01, label: 'Softness' }, ['noise']],
+  ['invert', { label: 'Invert' }, ['sphere', 'box', 'gradient', 'noise']],
+];
+
+// Rebuild functions for folders generated from param arrays (spine points, ...)
+const listRebuilders = [];
+
+/**
+ * Rebuild all array-driven folders. Call after params are replaced wholesale
+ * (preset load, JSON import) so bindings point at the new objects.
+ */
+export function rebuildUILists() {
+  for (const rebuild of listRebuilders) rebuild();
+}
 
 /**
  * Create the Tweakpane UI panel and bind to the shared params object.
@@ -8,14 +134,28 @@ import { BUILT_IN_PRESETS } from './presets.js';
  */
 export function createUI(Tweakpane, params, callbacks) {
   const pane = new Tweakpane.Pane({ title: 'MurmurationIO' });
+  listRebuilders.length = 0;
 
   // Helper: bind a param and trigger dirty regeneration on change
-  function bind(folder, key, opts, dirtyLevel) {
-    folder.addBinding(params, key, opts).on('change', () => {
+  function bind(folder, key, opts, dirtyLevel, target = params) {
+    return folder.addBinding(target, key, opts).on('change', () => {
       callbacks.onParamChange(dirtyLevel);
     });
   }
 
+  // Helper: one sub-folder per entry of an array param. buildItem returns the
+  // blade it added; returns a rebuild function for when the array changes.
+  function bindList(folder, getItems, buildItem) {
+    let blades = [];
+    function rebuild() {
+      for (const blade of blades) blade.dispose();
+      blades = getItems().map((item, i) => buildItem(folder, item, i));
+    }
+    rebuild();
+    listRebuilders.push(rebuild);
+    return rebuild;
+  }
+
   // --- Presets ---
   const presetFolder = pane.addFolder({ title: 'Presets' });
   const presetOptions = {};
@@ -35,19 +175,36 @@ export function createUI(Tweakpane, params, callbacks) {
 
   // --- Shape ---
   const shape = pane.addFolder({ title: 'Shape' });
-  bind(shape, 'shapeType', {
-    options: { Ellipsoid: 'ellipsoid', Sphere: 'sphere', Torus: 'torus', 'Swept Curve': 'swept' },
-    label: 'Type',
-  }, 'shape');
-  bind(shape, 'count', { min: 50, max: 3000, step: 10, label: 'Birds' }, 'shape');
+  bind(shape, 'shapeType', { options: SHAPE_TYPE_OPTIONS, label: 'Type' }, 'shape');
+  shape.addButton({ title: 'Load Mesh (OBJ / PLY)' }).on('click', callbacks.importMesh);
+  shape.addButton({ title: 'Load Points (CSV / XYZ / PLY)' }).on('click', callbacks.importPointCloud);
+  bind(shape, 'count', { min: 50, max: 50000, step: 10, label: 'Birds' }, 'shape');
   bind(shape, 'fillMode', {
     options: { Surface: 'surface', Volume: 'volume' },
     label: 'Fill',
   }, 'shape');
+  bind(shape, 'samplingMode', {
+    options: { Random: 'random', 'Poisson Disk': 'poisson' },
+    label: 'Sampling',
+  }, 'shape');
+  bind(shape, 'minSpacing', { min: 0.5, max: 30, step: 0.5, label: 'Min Spacing' }, 'shape');
   bind(shape, 'seed', { min: 0, max: 99999, step: 1, label: 'Seed' }, 'shape');
   bind(shape, 'densityFalloff', { min: 0.5, max: 8, step: 0.1, label: 'Density Falloff' }, 'shape');
   bind(shape, 'densityNoise', { min: 0, max: 1, step: 0.05, label: 'Density Noise' }, 'shape');
   bind(shape, 'densityNoiseFreq', { min: 0.005, max: 0.1, step: 0.001, label: 'Density Noise Freq' }, 'shape');
+  bind(shape, 'densityNoiseBasis', { options: NOISE_BASIS_OPTIONS, label: 'Density Noise Basis' }, 'shape');
+  bind(shape, 'densitySeed', { min: 0, max: 99999, step: 1, label: 'Density Seed' }, 'shape');
+
+  const densityMapFolder = shape.addFolder({ title: 'Density Map', expanded: false });
+  densityMapFolder.addButton({ title: 'Load Image' }).on('click', callbacks.importDensityMap);
+  bind(densityMapFolder, 'densityMapEnabled', { label: 'Enable' }, 'shape');
+  bind(densityMapFolder, 'densityMapAxis', {
+    options: { X: 'x', Y: 'y', Z: 'z', Camera: 'camera' }, label: 'Project Along',
+  }, 'shape');
+  densityMapFolder.addButton({ title: 'Capture Camera' }).on('click', callbacks.captureDensityMapCamera);
+  bind(densityMapFolder, 'densityMapStrength', { min: 0, max: 1, step: 0.05, label: 'Strength' }, 'shape');
+  bind(densityMapFolder, 'densityMapSize', { min: 10, max: 400, step: 1, label: 'Size' }, 'shape');
+  bind(densityMapFolder, 'densityMapInvert', { label: 'Invert' }, 'shape');
 
   const dims = shape.addFolder({ title: 'Dimensions', expanded: false });
   bind(dims, 'radiusX', { min: 5, max: 200, step: 1, label: 'Radius X' }, 'shape');
@@ -57,64 +214,352 @@ export function createUI(Tweakpane, params, callbacks) {
   bind(dims, 'torusMinor', { min: 5, max: 80, step: 1, label: 'Torus Minor' }, 'shape');
   bind(dims, 'sweptRadius', { min: 5, max: 60, step: 1, label: 'Swept Radius' }, 'shape');
 
+  // --- Parametric primitives (cylinder and superquadric use Radius X/Y/Z; funnel height is Radius Z) ---
+  const primitivesFolder = shape.addFolder({ title: 'Primitives', expanded: false });
+  bind(primitivesFolder, 'funnelBottom', { min: 0, max: 150, step: 1, label: 'Funnel Bottom' }, 'shape');
+  bind(primitivesFolder, 'funnelTop', { min: 0, max: 150, step: 1, label: 'Funnel Top' }, 'shape');
+  bind(primitivesFolder, 'helixRadius', { min: 0, max: 150, step: 1, label: 'Helix Radius' }, 'shape');
+  bind(primitivesFolder, 'helixTube', { min: 1, max: 60, step: 1, label: 'Helix Tube' }, 'shape');
+  bind(primitivesFolder, 'helixPitch', { min: 0, max: 200, step: 1, label: 'Helix Pitch' }, 'shape');
+  bind(primitivesFolder, 'helixTurns', { min: 0.25, max: 10, step: 0.25, label: 'Helix Turns' }, 'shape');
+  bind(primitivesFolder, 'superE1', { min: 0.1, max: 4, step: 0.05, label: 'Super Exp N-S' }, 'shape');
+  bind(primitivesFolder, 'superE2', { min: 0.1, max: 4, step: 0.05, label: 'Super Exp E-W' }, 'shape');
+  bind(primitivesFolder, 'mobiusRadius', { min: 10, max: 150, step: 1, label: 'Möbius Radius' }, 'shape');
+  bind(primitivesFolder, 'mobiusWidth', { min: 1, max: 80, step: 1, label: 'Möbius Width' }, 'shape');
+  bind(primitivesFolder, 'mobiusThickness', { min: 0, max: 40, step: 0.5, label: 'Möbius Thickness' }, 'shape');
+  bind(primitivesFolder, 'mobiusTwists', { min: 0, max: 7, step: 1, label: 'Möbius Half-Twists' }, 'shape');
+
+  // --- Swept curve spine ---
+  const spineFolder = shape.addFolder({ title: 'Spine', expanded: false });
+  bind(spineFolder, 'sweptClosed', { label: 'Closed Loop' }, 'shape');
+  spineFolder.addButton({ title: 'Add Point' }).on('click', () => {
+    const spine = params.sweptSpine;
+    const last = spine[spine.length - 1];
+    const prev = spine[spine.length - 2] || { x: last.x - 30, y: last.y, z: last.z };
+    // Extend the spine along its final segment
+    spine.push({
+      x: last.x + (last.x - prev.x),
+      y: last.y + (last.y - prev.y),
+      z: last.z + (last.z - prev.z),
+      r: last.r === undefined ? 1 : last.r,
+    });
+    rebuildSpine();
+    callbacks.onParamChange('shape');
+  });
+  const rebuildSpine = bindList(spineFolder, () => params.sweptSpine, (folder, pt, i) => {
+    const ptFolder = folder.addFolder({ title: `Point ${i + 1}`, expanded: false });
+    bind(ptFolder, 'x', { min: -200, max: 200, step: 1, label: 'X' }, 'shape', pt);
+    bind(ptFolder, 'y', { min: -200, max: 200, step: 1, label: 'Y' }, 'shape', pt);
+    bind(ptFolder, 'z', { min: -200, max: 200, step: 1, label: 'Z' }, 'shape', pt);
+    if (pt.r === undefined) pt.r = 1;
+    bind(ptFolder, 'r', { min: 0, max: 4, step: 0.05, label: 'Radius' }, 'shape', pt);
+    ptFolder.addButton({ title: 'Remove Point' }).on('click', () => {
+      if (params.sweptSpine.length <= 2) return;
+      params.sweptSpine.splice(i, 1);
+      rebuildSpine();
+      callbacks.onParamChange('shape');
+    });
+    return ptFolder;
+  });
+
+  // --- SDF composer primitives ---
+  const sdfFolder = shape.addFolder({ title: 'SDF Composer', expanded: false });
+  const primTypeOptions = Object.fromEntries(SDF_PRIMITIVE_TYPES.map(t => [t[0].toUpperCase() + t.slice(1), t]));
+  const opOptions = Object.fromEntries(SDF_OPS.map(o => [o[0].toUpperCase() + o.slice(1), o]));
+  const newPrimitive = { type: 'ellipsoid' };
+  sdfFolder.addBinding(newPrimitive, 'type', { options: primTypeOptions, label: 'New Type' });
+  sdfFolder.addButton({ title: 'Add Primitive' }).on('click', () => {
+    params.sdfPrimitives.push(defaultPrimitive(newPrimitive.type));
+    rebuildPrimitives();
+    callbacks.onParamChange('shape');
+  });
+  const rebuildPrimitives = bindList(sdfFolder, () => params.sdfPrimitives, (folder, prim, i) => {
+    const primFolder = folder.addFolder({ title: `${i + 1}. ${prim.type}`, expanded: false });
+    primFolder.addBinding(prim, 'type', { options: primTypeOptions, label: 'Type' }).on('change', (ev) => {
+      primFolder.title = `${i + 1}. ${ev.value}`;
+      callbacks.onParamChange('shape');
+    });
+    if (i > 0) {
+      bind(primFolder, 'op', { options: opOptions, label: 'Operation' }, 'shape', prim);
+      bind(primFolder, 'blend', { min: 0, max: 60, step: 1, label: 'Blend' }, 'shape', prim);
+    }
+    bind(primFolder, 'x', { min: -200, max: 200, step: 1, label: 'X' }, 'shape', prim);
+    bind(primFolder, 'y', { min: -200, max: 200, step: 1, label: 'Y' }, 'shape', prim);
+    bind(primFolder, 'z', { min: -200, max: 200, step: 1, label: 'Z' }, 'shape', prim);
+    bind(primFolder, 'rotX', { min: -Math.PI, max: Math.PI, step: 0.01, label: 'Rotation X' }, 'shape', prim);
+    bind(primFolder, 'rotY', { min: -Math.PI, max: Math.PI, step: 0.01, label: 'Rotation Y' }, 'shape', prim);
+    bind(primFolder, 'rotZ', { min: -Math.PI, max: Math.PI, step: 0.01, label: 'Rotation Z' }, 'shape', prim);
+    bind(primFolder, 'sizeX', { min: 1, max: 200, step: 1, label: 'Size X' }, 'shape', prim);
+    bind(primFolder, 'sizeY', { min: 1, max: 200, step: 1, label: 'Size Y' }, 'shape', prim);
+    bind(primFolder, 'sizeZ', { min: 1, max: 200, step: 1, label: 'Size Z' }, 'shape', prim);
+    primFolder.addButton({ title: 'Remove' }).on('click', () => {
+      params.sdfPrimitives.splice(i, 1);
+      rebuildPrimitives();
+      callbacks.onParamChange('shape');
+    });
+    return primFolder;
+  });
+
+  // --- Extruded / lathed outline ---
+  const outlineFolder = shape.addFolder({ title: 'Outline', expanded: false });
+  bind(outlineFolder, 'outlineSource', {
+    options: { Text: 'text', 'SVG Path': 'svg' }, label: 'Source',
+  }, 'shape');
+  bind(outlineFolder, 'outlineText', { label: 'Text' }, 'shape');
+  bind(outlineFolder, 'outlineFont', {
+    options: {
+      'Sans-serif': 'sans-serif', Serif: 'serif', Georgia: 'Georgia',
+      Impact: 'Impact', Monospace: 'monospace',
+    },
+    label: 'Font',
+  }, 'shape');
+  outlineFolder.addButton({ title: 'Load SVG File' }).on('click', callbacks.loadOutlineSVG);
+  outlineFolder.addButton({ title: 'Paste SVG Path' }).on('click', callbacks.pasteOutlineSVG);
+  bind(outlineFolder, 'outlineMode', {
+    options: { Extrude: 'extrude', Lathe: 'lathe' }, label: 'Mode',
+  }, 'shape');
+  bind(outlineFolder, 'outlineDepth', { min: 2, max: 200, step: 1, label: 'Depth' }, 'shape');
+  bind(outlineFolder, 'outlineBevel', { min: 0, max: 40, step: 0.5, label: 'Bevel' }, 'shape');
+  bind(outlineFolder, 'outlineLatheRadius', { min: 0, max: 200, step: 1, label: 'Lathe Radius' }, 'shape');
+
+  // --- Boids simulation ---
+  const boidsFolder = shape.addFolder({ title: 'Boids', expanded: false });
+  const boidsBaseOptions = Object.fromEntries(
+    Object.entries(GENERATED_SHAPE_OPTIONS).filter(([, type]) => type !== 'boids'));
+  bind(boidsFolder, 'boidsBase', { options: boidsBaseOptions, label: 'Start Shape' }, 'shape');
+  bind(boidsFolder, 'boidsSteps', { min: 0, max: 300, step: 1, label: 'Steps' }, 'shape');
+  bind(boidsFolder, 'boidsRadius', { min: 2, max: 50, step: 1, label: 'Neighbour Radius' }, 'shape');
+  bind(boidsFolder, 'boidsSeparation', { min: 0, max: 5, step: 0.05, label: 'Separation' }, 'shape');
+  bind(boidsFolder, 'boidsAlignment', { min: 0, max: 5, step: 0.05, label: 'Alignment' }, 'shape');
+  bind(boidsFolder, 'boidsCohesion', { min: 0, max: 5, step: 0.05, label: 'Cohesion' }, 'shape');
+  bind(boidsFolder, 'boidsRoost', { min: 0, max: 2, step: 0.05, label: 'Roost Pull' }, 'shape');
+  bind(boidsFolder, 'boidsSpeed', { min: 0.2, max: 6, step: 0.1, label: 'Speed' }, 'shape');
+
+  // --- Strange attractor ---
+  const attractorFolder = shape.addFolder({ title: 'Attractor', expanded: false });
+  bind(attractorFolder, 'attractorType', {
+    options: Object.fromEntries(ATTRACTOR_TYPES.map(t => [t[0].toUpperCase() + t.slice(1), t])),
+    label: 'System',
+  }, 'shape');
+  bind(attractorFolder, 'attractorStride', { min: 1, max: 50, step: 1, label: 'Steps Per Bird' }, 'shape');
+
   const flockFolder = shape.addFolder({ title: 'Sub-Flocks', expanded: false });
   bind(flockFolder, 'subFlocks', { min: 1, max: 5, step: 1, label: 'Count' }, 'shape');
   bind(flockFolder, 'subFlockSpread', { min: 0, max: 2, step: 0.05, label: 'Spread' }, 'shape');
   bind(flockFolder, 'subFlockSizeVar', { min: 0, max: 1, step: 0.05, label: 'Size Variation' }, 'shape');
   bind(flockFolder, 'subFlockBridge', { min: 0, max: 0.5, step: 0.01, label: 'Bridge Density' }, 'shape');
+  const bridgeFolder = flockFolder.addFolder({ title: 'Bridges', expanded: false });
+  bind(bridgeFolder, 'bridgeTopology', {
+    options: {
+      Chain: 'chain', Loop: 'loop', 'Spanning Tree': 'mst', 'All Pairs': 'all', 'K Nearest': 'knn',
+    },
+    label: 'Topology',
+  }, 'shape');
+  bind(bridgeFolder, 'bridgeK', { min: 1, max: 4, step: 1, label: 'K' }, 'shape');
+  bind(bridgeFolder, 'bridgeWidth', { min: 0.01, max: 0.4, step: 0.01, label: 'Width' }, 'shape');
+  bind(bridgeFolder, 'bridgeCurve', { min: 0, max: 1, step: 0.01, label: 'Curvature' }, 'shape');
+  bind(bridgeFolder, 'bridgeTaper', { min: 0, max: 2, step: 0.05, label: 'End Taper' }, 'shape');
+  bind(bridgeFolder, 'bridgeFade', { min: 0, max: 1, step: 0.05, label: 'Mid Fade' }, 'shape');
+  bind(flockFolder, 'subFlockCustom', { label: 'Custom Layout' }, 'shape');
+  flockFolder.addButton({ title: 'Copy Random Layout' }).on('click', callbacks.copyRandomSubFlocks);
+  flockFolder.addButton({ title: 'Add Sub-Flock' }).on('click', () => {
+    params.subFlockList.push(defaultSubFlock(params.subFlockList.length));
+    rebuildSubFlocks();
+    callbacks.onParamChange('shape');
+  });
+  const rebuildSubFlocks = bindList(flockFolder, () => params.subFlockList, (folder, entry, i) => {
+    const entryFolder = folder.addFolder({ title: `Flock ${i + 1}`, expanded: false });
+    bind(entryFolder, 'shapeType', { options: GENERATED_SHAPE_OPTIONS, label: 'Type' }, 'shape', entry);
+    bind(entryFolder, 'fillMode', {
+      options: { Surface: 'surface', Volume: 'volume' }, label: 'Fill',
+    }, 'shape', entry);
+    bind(entryFolder, 'share', { min: 0, max: 1, step: 0.01, label: 'Count Share' }, 'shape', entry);
+    bind(entryFolder, 'x', { min: -300, max: 300, step: 1, label: 'Center X' }, 'shape', entry);
+    bind(entryFolder, 'y', { min: -300, max: 300, step: 1, label: 'Center Y' }, 'shape', entry);
+    bind(entryFolder, 'z', { min: -300, max: 300, step: 1, label: 'Center Z' }, 'shape', entry);
+    bind(entryFolder, 'radiusX', { min: 5, max: 200, step: 1, label: 'Radius X' }, 'shape', entry);
+    bind(entryFolder, 'radiusY', { min: 5, max: 200, step: 1, label: 'Radius Y' }, 'shape', entry);
+    bind(entryFolder, 'radiusZ', { min: 5, max: 200, step: 1, label: 'Radius Z' }, 'shape', entry);
+    bind(entryFolder, 'seed', { min: 0, max: 99999, step: 1, label: 'Seed' }, 'shape', entry);
+    entryFolder.addButton({ title: 'Remove' }).on('click', () => {
+      params.subFlockList.splice(i, 1);
+      rebuildSubFlocks();
+      callbacks.onParamChange('shape');
+    });
+    return entryFolder;
+  });
+
+  // --- Deformer stack ---
+  const deformFolder = pane.addFolder({ title: 'Deformers' });
+  const deformerTypeOptions = Object.fromEntries(DEFORMER_TYPES.map(t => [t[0].toUpperCase() + t.slice(1), t]));
+  bind(deformFolder, 'deformSeed', { min: 0, max: 99999, step: 1, label: 'Noise Seed' }, 'deform');
+  bind(deformFolder, 'showGizmos', { label: 'Show Gizmos' }, 'camera');
+  const newDeformer = { type: 'noise' };
+  deformFolder.addBinding(newDeformer, 'type', { options: deformerTypeOptions, label: 'New Type' });
+  deformFolder.addButton({ title: 'Add Deformer' }).on('click', () => {
+    params.deformers.push(defaultDeformer(newDeformer.type));
+    rebuildDeformers();
+    callbacks.onParamChange('deform');
+  });
+  const changeStack = () => {
+    rebuildDeformers();
+    callbacks.onParamChange('deform');
+  };
+  // Lattice resolution (resizes the offsets), canvas edit mode and per-control-point offsets
+  function addLatticeControls(folder, deformer) {
+    const settings = deformer.settings;
+    // Snap imported resolutions to the cage actually built, so sliders and labels match it
+    Object.assign(settings, latticeRes(settings));
+    const res = { resX: settings.resX, resY: settings.resY, resZ: settings.resZ };
+    settings.offsets = resizeLattice(settings.offsets, res, res);
+    for (const [key, label] of [['resX', 'Points X'], ['resY', 'Points Y'], ['resZ', 'Points Z']]) {
+      folder.addBinding(settings, key, { ...LATTICE_RES_RANGE, step: 1, label }).on('change', () => {
+        settings.offsets = resizeLattice(settings.offsets, res, settings);
+        changeStack();
+      });
+    }
+    folder.addButton({ title: 'Edit On Canvas' }).on('click', () => callbacks.editDeformer(deformer));
+    folder.addButton({ title: 'Reset Cage' }).on('click', () => {
+      for (const o of settings.offsets) { o.x = 0; o.y = 0; o.z = 0; }
+      callbacks.onParamChange('deform');
+      pane.refresh();
+    });
+
+    const pointsFolder = folder.addFolder({ title: 'Control Points', expanded: false });
+    settings.offsets.forEach((offset, n) => {
+      const i = n % res.resX;
+      const j = Math.floor(n / res.resX) % res.resY;
+      const k = Math.floor(n / (res.resX * res.resY));
+      const ptFolder = pointsFolder.addFolder({ title: `Point ${i},${j},${k}`, expanded: false });
+      bind(ptFolder, 'x', { min: -200, max: 200, step: 0.5, label: 'Offset X' }, 'deform', offset);
+      bind(ptFolder, 'y', { min: -200, max: 200, step: 0.5, label: 'Offset Y' }, 'deform', offset);
+      bind(ptFolder, 'z', { min: -200, max: 200, step: 0.5, label: 'Offset Z' }, 'deform', offset);
+    });
+  }
+
+  // Attractor / repulsor / vortex list, with canvas editing of their centres
+  function addForceControls(folder, deformer) {
+    const forces = deformer.settings.forces;
+    const newForce = { kind: 'repel' };
+    const kindOptions = Object.fromEntries(FORCE_KINDS.map(k => [k[0].toUpperCase() + k.slice(1), k]));
+    folder.addButton({ title: 'Edit On Canvas' }).on('click', () => callbacks.editDeformer(deformer));
+    folder.addBinding(newForce, 'kind', { options: kindOptions, label: 'New Force' });
+    folder.addButton({ title: 'Add Force' }).on('click', () => {
+      forces.push(defaultForce(newForce.kind));
+      changeStack();
+    });
+    forces.forEach((force, n) => {
+      const forceFolder = folder.addFolder({ title: `Force ${n + 1}`, expanded: false });
+      bind(forceFolder, 'kind', { options: kindOptions, label: 'Kind' }, 'deform', force);
+      for (const [key, opts] of FORCE_BINDINGS) bind(forceFolder, key, opts, 'deform', force);
+      forceFolder.addButton({ title: 'Remove' }).on('click', () => {
+        forces.splice(n, 1);
+        changeStack();
+      });
+    });
+  }
 
-  // --- Noise ---
-  const noise = pane.addFolder({ title: 'Noise' });
-  bind(noise, 'noiseAmp', { min: 0, max: 100, step: 1, label: 'Amplitude' }, 'deform');
-  bind(noise, 'noiseFreq', { min: 0.001, max: 0.15, step: 0.001, label: 'Frequency' }, 'deform');
-  bind(noise, 'noiseOctaves', { min: 1, max: 8, step: 1, label: 'Octaves' }, 'deform');
-  bind(noise, 'noisePersistence', { min: 0.1, max: 0.9, step: 0.05, label: 'Persistence' }, 'deform');
-  bind(noise, 'noiseLacunarity', { min: 1.5, max: 3.5, step: 0.1, label: 'Lacunarity' }, 'deform');
-
-  const noiseOffset = noise.addFolder({ title: 'Offset', expanded: false });
-  bind(noiseOffset, 'noiseOffsetX', { min: -100, max: 100, step: 0.5, label: 'X' }, 'deform');
-  bind(noiseOffset, 'noiseOffsetY', { min: -100, max: 100, step: 0.5, label: 'Y' }, 'deform');
-  bind(noiseOffset, 'noiseOffsetZ', { min: -100, max: 100, step: 0.5, label: 'Z' }, 'deform');
-
-  const smoothFolder = noise.addFolder({ title: 'Smooth Pre-Deform', expanded: false });
-  bind(smoothFolder, 'smoothEnabled', { label: 'Enable' }, 'deform');
-  bind(smoothFolder, 'smoothFreq', { min: 0.001, max: 0.02, step: 0.001, label: 'Frequency' }, 'deform');
-  bind(smoothFolder, 'smoothAmp', { min: 0, max: 80, step: 1, label: 'Amplitude' }, 'deform');
-
-  // --- Twist ---
-  const twistFolder = pane.addFolder({ title: 'Twist', expanded: false });
-  bind(twistFolder, 'twistEnabled', { label: 'Enable' }, 'deform');
-  bind(twistFolder, 'twistAmount', { min: -3, max: 3, step: 0.05, label: 'Amount' }, 'deform');
-  bind(twistFolder, 'twistAxis', {
-    options: { X: 'x', Y: 'y', Z: 'z' }, label: 'Axis',
-  }, 'deform');
-
-  // --- Taper ---
-  const taperFolder = pane.addFolder({ title: 'Taper', expanded: false });
-  bind(taperFolder, 'taperEnabled', { label: 'Enable' }, 'deform');
-  bind(taperFolder, 'taperStart', { min: 0.1, max: 3, step: 0.05, label: 'Start Scale' }, 'deform');
-  bind(taperFolder, 'taperEnd', { min: 0.0, max: 3, step: 0.05, label: 'End Scale' }, 'deform');
-  bind(taperFolder, 'taperAxis', {
-    options: { X: 'x', Y: 'y', Z: 'z' }, label: 'Axis',
-  }, 'deform');
-
-  // --- Bend ---
-  const bendFolder = pane.addFolder({ title: 'Bend', expanded: false });
-  bind(bendFolder, 'bendEnabled', { label: 'Enable' }, 'deform');
-  bind(bendFolder, 'bendAngle', { min: -3, max: 3, step: 0.05, label: 'Angle' }, 'deform');
-  bind(bendFolder, 'bendAxis', {
-    options: { X: 'x', Y: 'y', Z: 'z' }, label: 'Axis',
-  }, 'deform');
-
-  // --- Wave ---
-  const waveFolder = pane.addFolder({ title: 'Wave', expanded: false });
-  bind(waveFolder, 'waveEnabled', { label: 'Enable' }, 'deform');
-  bind(waveFolder, 'waveFreq', { min: 0.01, max: 0.5, step: 0.005, label: 'Frequency' }, 'deform');
-  bind(waveFolder, 'waveAmp', { min: 0, max: 50, step: 1, label: 'Amplitude' }, 'deform');
-  bind(waveFolder, 'waveAxis', {
-    options: { X: 'x', Y: 'y', Z: 'z' }, label: 'Axis',
-  }, 'deform');
-  bind(waveFolder, 'wavePhase', { min: 0, max: Math.PI * 2, step: 0.1, label: 'Phase' }, 'deform');
+  // Summed sine components of a wave deformer
+  function addWaveControls(folder, deformer) {
+    const components = deformer.settings.components;
+    folder.addButton({ title: 'Add Component' }).on('click', () => {
+      // Each new component defaults to the next harmonic of the last one, at half its amplitude
+      const last = components[components.length - 1];
+      components.push(last
+        ? defaultWaveComponent(last.frequency * 2, last.amplitude / 2)
+        : defaultWaveComponent());
+      changeStack();
+    });
+    components.forEach((component, n) => {
+      const componentFolder = folder.addFolder({ title: `Component ${n + 1}`, expanded: n === 0 });
+      bind(componentFolder, 'frequency', { min: 0.001, max: 0.5, step: 0.001, label: 'Frequency' }, 'deform', component);
+      bind(componentFolder, 'amplitude', { min: -50, max: 50, step: 0.5, label: 'Amplitude' }, 'deform', component);
+      bind(componentFolder, 'phase', { min: 0, max: Math.PI * 2, step: 0.05, label: 'Phase' }, 'deform', component);
+      componentFolder.addButton({ title: 'Remove' }).on('click', () => {
+        components.splice(n, 1);
+        changeStack();
+      });
+    });
+  }
+
+  // Path control points, editable on the canvas
+  function addPathControls(folder, deformer) {
+    const path = deformer.settings.path;
+    folder.addButton({ title: 'Edit On Canvas' }).on('click', () => callbacks.editDeformer(deformer));
+    folder.addButton({ title: 'Add Point' }).on('click', () => {
+      const last = path[path.length - 1];
+      const prev = path[path.length - 2] || { x: last.x, y: last.y, z: last.z - 30 };
+      // Extend the path along its final segment
+      path.push({ x: last.x + (last.x - prev.x), y: last.y + (last.y - prev.y), z: last.z + (last.z - prev.z) });
+      changeStack();
+    });
+    const pointsFolder = folder.addFolder({ title: 'Path Points', expanded: false });
+    path.forEach((pt, n) => {
+      const ptFolder = pointsFolder.addFolder({ title: `Point ${n + 1}`, expanded: false });
+      bind(ptFolder, 'x', { min: -300, max: 300, step: 1, label: 'X' }, 'deform', pt);
+      bind(ptFolder, 'y', { min: -300, max: 300, step: 1, label: 'Y' }, 'deform', pt);
+      bind(ptFolder, 'z', { min: -300, max: 300, step: 1, label: 'Z' }, 'deform', pt);
+      ptFolder.addButton({ title: 'Remove Point' }).on('click', () => {
+        if (path.length <= 2) return;
+        path.splice(n, 1);
+        changeStack();
+      });
+    });
+  }
+
+  const rebuildDeformers = bindList(deformFolder, () => params.deformers, (folder, deformer, i) => {
+    const list = params.deformers;
+    const entryFolder = folder.addFolder({ title: `${i + 1}. ${deformer.type}`, expanded: false });
+    bind(entryFolder, 'enabled', { label: 'Enable' }, 'deform', deformer);
+    const defaults = defaultDeformer(deformer.type).settings;
+    deformer.settings = { ...defaults, ...deformer.settings };
+    for (const [key, opts] of DEFORMER_SETTING_BINDINGS[deformer.type] || []) {
+      bind(entryFolder, key, opts, 'deform', deformer.settings);
+    }
+    if (deformer.type === 'lattice') addLatticeControls(entryFolder, deformer);
+    if (deformer.type === 'forces') addForceControls(entryFolder, deformer);
+    if (deformer.type === 'wave') addWaveControls(entryFolder, deformer);
+    if (deformer.type === 'path') addPathControls(entryFolder, deformer);
+
+    // Influence mask: only the controls for the selected mask type are shown
+    deformer.mask = { ...defaultMask(), ...deformer.mask };
+    const maskFolder = entryFolder.addFolder({ title: 'Mask', expanded: false });
+    const maskControls = [];
+    const showMaskControls = () => {
+      for (const [control, types] of maskControls) control.hidden = !types.includes(deformer.mask.type);
+    };
+    maskFolder.addBinding(deformer.mask, 'type', {
+      options: Object.fromEntries(MASK_TYPES.map(t => [t[0].toUpperCase() + t.slice(1), t])),
+      label: 'Type',
+    }).on('change', () => {
+      showMaskControls();
+      callbacks.onParamChange('deform');
+    });
+    for (const [key, opts, types] of MASK_BINDINGS) {
+      maskControls.push([bind(maskFolder, key, opts, 'deform', deformer.mask), types]);
+    }
+    showMaskControls();
+    entryFolder.addButton({ title: 'Move Up' }).on('click', () => {
+      if (i === 0) return;
+      [list[i - 1], list[i]] = [list[i], list[i - 1]];
+      changeStack();
+    });
+    entryFolder.addButton({ title: 'Move Down' }).on('click', () => {
+      if (i === list.length - 1) return;
+      [list[i], list[i + 1]] = [list[i + 1], list[i]];
+      changeStack();
+    });
+    entryFolder.addButton({ title: 'Duplicate' }).on('click', () => {
+      list.splice(i + 1, 0, structuredClone(deformer));
+      changeStack();
+    });
+    entryFolder.addButton({ title: 'Remove' }).on('click', () => {
+      list.splice(i, 1);
+      callbacks.onDeformerRemoved(deformer);
+      changeStack();
+    });
+    return entryFolder;
+  });
 
   // --- Camera ---
   const camera = pane.addFolder({ title: 'Camera' });
@@ -135,13 +580,21 @@ export function createUI(Tweakpane, params, callbacks) {
     options: { 'V-Shape': 'vee', Starling: 'starling', Dot: 'dot', Swooping: 'swoop' },
     label: 'Shape',
   }, 'camera');
-  bind(birds, 'poseVariation', { label: 'Pose Variation' }, 'camera');
-  bind(birds, 'poseNoiseFreq', { min: 0.001, max: 0.05, step: 0.001, label: 'Pose Coherence' }, 'camera');
+  bind(birds, 'poseVariation', { label: 'Pose Variation' }, 'orient');
+  bind(birds, 'poseNoiseFreq', { min: 0.001, max: 0.05, step: 0.001, label: 'Pose Coherence' }, 'orient');
+  bind(birds, 'poseNoiseBasis', { options: NOISE_BASIS_OPTIONS, label: 'Pose Noise Basis' }, 'orient');
+  bind(birds, 'poseSeed', { min: 0, max: 99999, step: 1, label: 'Pose Seed' }, 'orient');
   bind(birds, 'birdScale', { min: 0.2, max: 5, step: 0.1, label: 'Scale' }, 'camera');
   bind(birds, 'depthScale', { min: 0, max: 1, step: 0.05, label: 'Depth Scaling' }, 'camera');
-  bind(birds, 'orientToFlow', { label: 'Orient to Flow' }, 'camera');
-  bind(birds, 'curlFlowFreq', { min: 0.001, max: 0.1, step: 0.001, label: 'Flow Frequency' }, 'camera');
-  bind(birds, 'curlFlowOctaves', { min: 1, max: 4, step: 1, label: 'Flow Detail' }, 'camera');
+  bind(birds, 'orientToFlow', { label: 'Orient to Flow' }, 'orient');
+  bind(birds, 'orientSource', {
+    options: { 'Curl Flow': 'flow', 'Simulated Heading': 'heading' },
+    label: 'Heading Source',
+  }, 'orient');
+  bind(birds, 'curlFlowFreq', { min: 0.001, max: 0.1, step: 0.001, label: 'Flow Frequency' }, 'orient');
+  bind(birds, 'curlFlowOctaves', { min: 1, max: 4, step: 1, label: 'Flow Detail' }, 'orient');
+  bind(birds, 'curlFlowBasis', { options: NOISE_BASIS_OPTIONS, label: 'Flow Basis' }, 'orient');
+  bind(birds, 'flowSeed', { min: 0, max: 99999, step: 1, label: 'Flow Seed' }, 'orient');
   bind(birds, 'orientJitter', { min: 0, max: 1, step: 0.05, label: 'Rotation Jitter' }, 'camera');
   bind(birds, 'depthOpacity', { min: 0, max: 1, step: 0.05, label: 'Min Opacity' }, 'camera');
   bind(birds, 'depthOpacityCurve', { min: 0.2, max: 4, step: 0.1, label: 'Opacity Curve' }, 'camera');
@@ -149,6 +602,11 @@ export function createUI(Tweakpane, params, callbacks) {
   bind(birds, 'darkBandStrength', { min: 0, max: 2, step: 0.05, label: 'Dark Band Strength' }, 'camera');
   bind(birds, 'darkBandGridSize', { min: 5, max: 60, step: 1, label: 'Dark Band Grid' }, 'camera');
   bind(birds, 'darkMode', { label: 'Dark Mode' }, 'camera');
+  const relaxFolder = birds.addFolder({ title: 'Relaxation', expanded: false });
+  bind(relaxFolder, 'relaxEnabled', { label: 'Separate Overlaps' }, 'camera');
+  bind(relaxFolder, 'relaxClearance', { min: 0.1, max: 2, step: 0.05, label: 'Clearance' }, 'camera');
+  bind(relaxFolder, 'relaxIterations', { min: 1, max: 30, step: 1, label: 'Iterations' }, 'camera');
+  bind(relaxFolder, 'relaxMaxShift', { min: 0, max: 50, step: 0.5, label: 'Max Shift' }, 'camera');
 
   // --- SVG Export ---
   const exportFolder = pane.addFolder({ title: 'SVG Export', expanded: false });